@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+const { envMinutes } = require('./env');
+
+// ─── Access control ───
+//   API_KEYS                 comma-separated user:key pairs, e.g. "alice:9f2c…,bob:41d7…". When set, every
+//                            /api request except /api/health needs "Authorization: Bearer <key>" (or a
+//                            signed URL, see below) and each user only sees their own assets, projects and
+//                            jobs. When unset the API is open, as before.
+//   URL_SIGNING_SECRET       HMAC key for the time-limited stream and download URLs (default: random at
+//                            startup, so signed URLs stop working when the server restarts)
+//   SIGNED_URL_TTL_MINUTES   how long a signed URL stays valid (default 60)
+
+// Keys are kept as SHA-256 hashes, so looking one up takes the same time whatever it is
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function parseApiKeys(raw) {
+    const keys = new Map();
+    for (const entry of (raw || '').split(',').map(e => e.trim()).filter(Boolean)) {
+        const sep = entry.indexOf(':');
+        const user = entry.slice(0, sep).trim();
+        const key = entry.slice(sep + 1).trim();
+        if (sep === -1 || !user || !key) {
+            console.warn('⚠️ Ignoring an API_KEYS entry (expected user:key)');
+            continue;
+        }
+        keys.set(hashKey(key), user);
+    }
+    return keys;
+}
+
+module.exports = {
+    hashKey,
+    // By hashed key
+    apiKeys: parseApiKeys(process.env.API_KEYS),
+    urlSigningSecret: process.env.URL_SIGNING_SECRET || crypto.randomBytes(32).toString('hex'),
+    signedUrlTtlMs: envMinutes('SIGNED_URL_TTL_MINUTES', 60)
+};
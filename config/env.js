@@ -0,0 +1,22 @@
+// ─── Numeric settings from environment variables ───
+// A missing or empty variable means the fallback; an invalid one is reported and ignored.
+
+function envNumber(name, fallback, expected, isValid) {
+    const raw = process.env[name];
+    if (raw === undefined || raw === '') return fallback;
+    const value = Number(raw);
+    if (!isFinite(value) || !isValid(value)) {
+        console.warn(`⚠️ Ignoring ${name}=${raw} (expected ${expected})`);
+        return fallback;
+    }
+    return value;
+}
+
+function envMinutes(name, fallback) {
+    return envNumber(name, fallback, 'a positive number of minutes', v => v > 0) * 60 * 1000;
+}
+
+module.exports = {
+    envNumber,
+    envMinutes
+};
@@ -0,0 +1,25 @@
+const { envNumber, envMinutes } = require('./env');
+
+// ─── Ingest checks for uploaded media ───
+// Every upload is probed: files without a decodable audio or video stream are rejected, as
+// are files beyond the limits below. Sources later operations handle badly (variable frame
+// rate, rotation metadata, HEVC and other exotic codecs, high bit depth) get an H.264/AAC
+// mezzanine copy made by an 'ingest' job. Subtitles, LUTs and fonts are checked against
+// their extension instead (ffprobe for subtitles, the header or magic bytes otherwise).
+//
+//   INGEST_MAX_DURATION_MINUTES  longest accepted media (default 60)
+//   INGEST_MAX_WIDTH             longest side of the picture in pixels (default 3840)
+//   INGEST_MAX_HEIGHT            shortest side of the picture in pixels (default 2160); portrait
+//                                video is held to the same limits turned sideways
+//   INGEST_MEZZANINE_CRF         x264 quality of mezzanine copies, lower is better (default 18)
+
+function pixels(name, fallback) {
+    return envNumber(name, fallback, 'a whole number of pixels', v => Number.isInteger(v) && v > 0);
+}
+
+module.exports = {
+    maxDurationMs: envMinutes('INGEST_MAX_DURATION_MINUTES', 60),
+    maxWidth: pixels('INGEST_MAX_WIDTH', 3840),
+    maxHeight: pixels('INGEST_MAX_HEIGHT', 2160),
+    mezzanineCrf: envNumber('INGEST_MEZZANINE_CRF', 18, 'a number between 0 and 51', v => v >= 0 && v <= 51)
+};
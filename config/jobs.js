@@ -0,0 +1,16 @@
+const { envNumber, envMinutes } = require('./env');
+
+// ─── FFmpeg job queue ───
+//   MAX_CONCURRENT_JOBS           jobs running at once (default 1; the free tier has no room for more)
+//   MAX_PRIORITY_JOBS             extra slots only high-priority jobs (previews) may use (default 1, 0 = none)
+//   JOB_TIMEOUT_MINUTES           wall-clock limit for a running job; it is killed after that (default 30)
+//   PRIORITY_JOB_TIMEOUT_MINUTES  the same for high-priority jobs (default 2)
+
+const count = (name, fallback, min) => envNumber(name, fallback, `a whole number of at least ${min}`, v => Number.isInteger(v) && v >= min);
+
+module.exports = {
+    maxConcurrentJobs: count('MAX_CONCURRENT_JOBS', 1, 1),
+    maxPriorityJobs: count('MAX_PRIORITY_JOBS', 1, 0),
+    jobTimeoutMs: envMinutes('JOB_TIMEOUT_MINUTES', 30),
+    priorityJobTimeoutMs: envMinutes('PRIORITY_JOB_TIMEOUT_MINUTES', 2)
+};
@@ -0,0 +1,28 @@
+const { envNumber } = require('./env');
+
+// ─── Adaptive streaming (HLS/DASH) packaging ───
+// POST /api/package encodes an asset once per rendition and segments it for adaptive players.
+//
+//   PACKAGE_SEGMENT_SECONDS  target segment length; every rendition gets a keyframe at each
+//                            boundary so players can switch between them (default 4)
+//   PACKAGE_THREADS          FFmpeg thread count for packaging jobs (default 1, 0 = auto)
+//
+// Rendition fields:
+//   height        output height; width follows the source aspect ratio (rounded to even)
+//   videoBitrate  H.264 target in kbit/s (capped at 1.07x, 1.5x buffer)
+//   audioBitrate  AAC stereo in kbit/s
+const RENDITIONS = {
+    '1080p': { height: 1080, videoBitrate: 5000, audioBitrate: 128 },
+    '720p': { height: 720, videoBitrate: 2800, audioBitrate: 128 },
+    '480p': { height: 480, videoBitrate: 1400, audioBitrate: 96 },
+    '360p': { height: 360, videoBitrate: 800, audioBitrate: 96 },
+    '240p': { height: 240, videoBitrate: 400, audioBitrate: 64 }
+};
+
+module.exports = {
+    RENDITIONS,
+    // Used when a request names none; renditions taller than the source are always skipped
+    defaultRenditions: ['720p', '480p', '360p'],
+    segmentSeconds: envNumber('PACKAGE_SEGMENT_SECONDS', 4, 'a number of seconds between 1 and 30', v => v >= 1 && v <= 30),
+    threads: envNumber('PACKAGE_THREADS', 1, 'a whole number, 0 for auto', v => Number.isInteger(v) && v >= 0)
+};
@@ -0,0 +1,89 @@
+const fs = require('fs');
+
+// ─── Export presets ───
+// Every operation and POST /api/export accept `preset: '<name>'`.
+//
+//   DEFAULT_EXPORT_PRESET  preset used when a request names none (default: preview-480p,
+//                          the memory-saving profile tuned for the Render 512MB free tier)
+//   EXPORT_PRESETS_FILE    path to a JSON file of extra presets; entries with an existing
+//                          name are merged over the built-in definition
+//
+// Preset fields:
+//   fit       'width'   scale to `width`, keep aspect (height rounded to even)
+//             'contain' fit inside width x height, never upscale
+//             'pad'     exactly width x height, letterboxed
+//             'none'    keep the source resolution
+//   frame     canvas for multi-input outputs (merge); defaults to width x height
+//   video     quality in x264 terms: crf, preset, maxrate/bufsize (optional); other
+//             codecs picked with `format`/`videoCodec` get an equivalent setting
+//   audio     bitrate, channels, sampleRate (each optional = encoder/source default)
+//   threads   FFmpeg thread count (0 = auto)
+const BUILT_IN_PRESETS = {
+    'preview-480p': {
+        label: 'Preview 480p (low memory)',
+        fit: 'width',
+        width: 480,
+        frame: { width: 854, height: 480 },
+        video: { preset: 'ultrafast', crf: 35, maxrate: '500k', bufsize: '250k' },
+        audio: { channels: 1, sampleRate: 22050 },
+        threads: 1
+    },
+    '720p': {
+        label: 'HD 720p',
+        fit: 'contain',
+        width: 1280,
+        height: 720,
+        video: { preset: 'veryfast', crf: 23 },
+        audio: { bitrate: '128k', channels: 2, sampleRate: 44100 },
+        threads: 0
+    },
+    '1080p': {
+        label: 'Full HD 1080p',
+        fit: 'contain',
+        width: 1920,
+        height: 1080,
+        video: { preset: 'fast', crf: 21 },
+        audio: { bitrate: '192k', channels: 2, sampleRate: 48000 },
+        threads: 0
+    },
+    source: {
+        label: 'Source quality',
+        fit: 'none',
+        frame: { width: 1920, height: 1080 },
+        video: { preset: 'medium', crf: 18 },
+        audio: { bitrate: '192k' },
+        threads: 0
+    },
+    'social-vertical': {
+        label: 'Social vertical 9:16 (1080x1920)',
+        fit: 'pad',
+        width: 1080,
+        height: 1920,
+        video: { preset: 'veryfast', crf: 23, maxrate: '8M', bufsize: '16M' },
+        audio: { bitrate: '128k', channels: 2, sampleRate: 44100 },
+        threads: 0
+    }
+};
+
+function loadCustomPresets(file) {
+    if (!file) return {};
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        console.warn(`⚠️ Could not load EXPORT_PRESETS_FILE (${file}):`, e.message);
+        return {};
+    }
+}
+
+const customPresets = loadCustomPresets(process.env.EXPORT_PRESETS_FILE);
+const presets = { ...BUILT_IN_PRESETS };
+for (const [name, preset] of Object.entries(customPresets)) {
+    presets[name] = { ...(presets[name] || {}), ...preset };
+}
+
+const defaultPreset = presets[process.env.DEFAULT_EXPORT_PRESET] ? process.env.DEFAULT_EXPORT_PRESET : 'preview-480p';
+
+module.exports = {
+    presets,
+    defaultPreset
+};
@@ -0,0 +1,29 @@
+const { envNumber, envMinutes } = require('./env');
+
+// ─── Storage retention ───
+// Files are kept for a while after they were last used, then deleted by a periodic sweep.
+// Pinned assets and assets a queued or running job still needs are never deleted.
+//
+//   UPLOAD_RETENTION_MINUTES     uploads (default 15)
+//   PROCESSED_RETENTION_MINUTES  operation outputs (default 15)
+//   CACHE_RETENTION_MINUTES      posters, sprites, previews, analysis results (default 15)
+//   PACKAGE_RETENTION_MINUTES    HLS/DASH packages, counted from when they were last played (default 15)
+//   CLEANUP_INTERVAL_MINUTES     how often the sweep runs (default 5)
+//   STORAGE_QUOTA_MB             limit for uploads/ + processed/ together; beyond it the least
+//                                recently used assets are deleted first (default 1024, 0 = none)
+
+function megabytes(name, fallback) {
+    return envNumber(name, fallback, 'a number of megabytes, 0 for no quota', v => v >= 0) * 1024 * 1024;
+}
+
+module.exports = {
+    // By asset kind (see lib/assets.js)
+    assetTtlMs: {
+        upload: envMinutes('UPLOAD_RETENTION_MINUTES', 15),
+        processed: envMinutes('PROCESSED_RETENTION_MINUTES', 15)
+    },
+    cacheTtlMs: envMinutes('CACHE_RETENTION_MINUTES', 15),
+    packageTtlMs: envMinutes('PACKAGE_RETENTION_MINUTES', 15),
+    cleanupIntervalMs: envMinutes('CLEANUP_INTERVAL_MINUTES', 5),
+    quotaBytes: megabytes('STORAGE_QUOTA_MB', 1024)
+};
@@ -0,0 +1,18 @@
+const { envNumber, envMinutes } = require('./env');
+
+// ─── Upload limits ───
+//   UPLOAD_MAX_MB               largest file for a single-request upload (/upload, /upload-multiple; default 25)
+//   CHUNKED_UPLOAD_MAX_MB       largest file for a resumable chunked upload (/uploads; default 2048)
+//   UPLOAD_CHUNK_MB             largest chunk a client may send; the default is also the suggested size (default 5)
+//   UPLOAD_SESSION_MINUTES      an unfinished chunked upload is discarded this long after its last chunk (default 60)
+
+function megabytes(name, fallback) {
+    return envNumber(name, fallback, 'a positive number of megabytes', v => v > 0) * 1024 * 1024;
+}
+
+module.exports = {
+    maxUploadBytes: megabytes('UPLOAD_MAX_MB', 25),
+    maxChunkedUploadBytes: megabytes('CHUNKED_UPLOAD_MAX_MB', 2048),
+    maxChunkBytes: Math.floor(megabytes('UPLOAD_CHUNK_MB', 5)),
+    uploadSessionTtlMs: envMinutes('UPLOAD_SESSION_MINUTES', 60)
+};
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const { hashKey, apiKeys, urlSigningSecret, signedUrlTtlMs } = require('../config/access');
+
+// ─── Access control: API keys, ownership and signed URLs (see config/access.js) ───
+const authEnabled = apiKeys.size > 0;
+
+// Reachable without a key (paths below /api)
+const PUBLIC_PATHS = ['/health'];
+
+/**
+ * Whether `user` may use a record that has an `owner` (asset, project, job).
+ * Everything is shared while the API is open; with API keys only the owner gets in.
+ */
+function ownsRecord(record, user) {
+    return !authEnabled || Boolean(record && user && record.owner === user);
+}
+
+// Signatures cover the decoded path, so clients may percent-encode the asset ID or not
+function signature(pathname, expires, user) {
+    return crypto.createHmac('sha256', urlSigningSecret)
+        .update(`${pathname}\n${expires}\n${user || ''}`)
+        .digest('base64url');
+}
+
+function decodePath(pathname) {
+    try {
+        return decodeURIComponent(pathname);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Time-limited URL for a GET route, e.g. signUrl(`/api/video/${encodeURIComponent(id)}`, req.user).
+ * It works without an Authorization header (video elements and download links can't send
+ * one) and acts as `user` for that path only. `expiresAt` is a timestamp in ms.
+ * `scope`, a path prefix ending in '/', makes it valid for every path below that prefix
+ * instead (HLS/DASH manifests point at their segments by relative URL).
+ */
+function signUrl(pathname, user, expiresAt = signedUrlExpiry(), scope = null) {
+    const expires = Math.floor(expiresAt / 1000);
+    const query = new URLSearchParams({ expires: String(expires) });
+    if (user) query.set('user', user);
+    if (scope) query.set('scope', scope);
+    query.set('signature', signature(scope ? `${decodePath(scope)}*` : decodePath(pathname), expires, user));
+    return `${pathname}?${query}`;
+}
+
+function signedUrlExpiry() {
+    return Date.now() + signedUrlTtlMs;
+}
+
+// The user a signed request acts as, or undefined when the signature is wrong or expired
+function signedUrlUser(req) {
+    const { expires, user, scope, signature: given } = req.query;
+    const pathname = decodePath(req.baseUrl + req.path);
+    if (typeof given !== 'string' || typeof expires !== 'string' || !pathname) return undefined;
+    if (!(Number(expires) * 1000 > Date.now())) return undefined;
+    let signed = pathname;
+    if (scope !== undefined) {
+        const prefix = typeof scope === 'string' ? decodePath(scope) : null;
+        if (!prefix || !prefix.endsWith('/') || !pathname.startsWith(prefix) || pathname.split('/').includes('..')) return undefined;
+        signed = `${prefix}*`;
+    }
+    const signedUser = typeof user === 'string' ? user : '';
+    const expected = Buffer.from(signature(signed, expires, signedUser));
+    const actual = Buffer.from(given);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return undefined;
+    return signedUser || undefined;
+}
+
+/**
+ * Middleware for /api: sets `req.user` to the caller (null while the API is open).
+ * Accepts "Authorization: Bearer <key>" or, for GET/HEAD, a signed URL.
+ */
+function authenticate(req, res, next) {
+    req.user = null;
+    if (!authEnabled || PUBLIC_PATHS.includes(req.path)) return next();
+
+    const header = req.get('authorization');
+    if (header) {
+        const match = /^Bearer\s+(\S+)$/i.exec(header);
+        const user = match ? apiKeys.get(hashKey(match[1])) : undefined;
+        if (!user) return res.status(401).json({ error: 'Invalid API key' });
+        req.user = user;
+        return next();
+    }
+    if (req.query.signature !== undefined && (req.method === 'GET' || req.method === 'HEAD')) {
+        const user = signedUrlUser(req);
+        if (!user) return res.status(403).json({ error: 'Invalid or expired signed URL' });
+        req.user = user;
+        return next();
+    }
+    res.set('WWW-Authenticate', 'Bearer');
+    res.status(401).json({ error: 'API key required' });
+}
+
+module.exports = {
+    authEnabled,
+    ownsRecord,
+    signUrl,
+    signedUrlExpiry,
+    authenticate
+};
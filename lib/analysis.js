@@ -0,0 +1,123 @@
+const ffmpeg = require('fluent-ffmpeg');
+
+// ─── Media analysis: scene changes and silent ranges ───
+
+// Scene score (0-1) a frame must exceed to count as a cut
+const SCENE_DEFAULTS = { threshold: 0.3 };
+// Anything quieter than `noise` dB for at least `minDuration` seconds is silence
+const SILENCE_DEFAULTS = { noise: -30, minDuration: 0.5 };
+// Silence kept on each side of a cut so speech doesn't start or stop abruptly
+const DEFAULT_CUT_PADDING = 0.1;
+// Scene detection compares frames at this width: plenty for the score, much faster
+const SCENE_ANALYSIS_WIDTH = 320;
+
+const round3 = (n) => Math.round(n * 1000) / 1000;
+
+/**
+ * Decode the input to the null muxer and hand every stderr line to `onLine`.
+ * Lines are read as they arrive (fluent-ffmpeg only keeps the last few in its
+ * 'end' event, far fewer than a long clip logs).
+ */
+function runAnalysis(cmd, label, onLine, job) {
+    if (job) job.track(cmd);
+    return new Promise((resolve, reject) => {
+        cmd.format('null')
+            .output('-')
+            .on('stderr', onLine)
+            .on('progress', (progress) => {
+                if (job && progress.percent) job.progress(progress.percent);
+            })
+            .on('end', () => resolve())
+            .on('error', (err) => {
+                console.error(`${label} error:`, err.message);
+                reject(new Error(`${label} failed: ${err.message}`));
+            })
+            .run();
+    });
+}
+
+/**
+ * Times at which the picture changes by more than `threshold` (0-1).
+ * Resolves to `[{ time, score }]` in seconds, in order.
+ */
+function detectScenes(inputPath, { threshold }, job) {
+    const scenes = [];
+    let frameTime = null;
+    const onLine = (line) => {
+        // metadata=print logs "frame:N pts:P pts_time:T", then one line per key
+        const time = /pts_time:(-?[\d.]+)/.exec(line);
+        if (time) {
+            frameTime = parseFloat(time[1]);
+            return;
+        }
+        const score = /lavfi\.scene_score=([\d.]+)/.exec(line);
+        if (score && frameTime !== null) scenes.push({ time: round3(frameTime), score: round3(parseFloat(score[1])) });
+    };
+    const cmd = ffmpeg(inputPath)
+        .noAudio()
+        .videoFilters([`scale=${SCENE_ANALYSIS_WIDTH}:-2`, `select='gt(scene,${threshold})'`, 'metadata=print']);
+    return runAnalysis(cmd, 'Scene detection', onLine, job).then(() => scenes);
+}
+
+/**
+ * Ranges quieter than `noise` dB lasting at least `minDuration` seconds.
+ * Resolves to `[{ start, end, duration }]`; silence running into the end of
+ * the file ends at `duration`.
+ */
+function detectSilences(inputPath, { noise, minDuration }, duration, job) {
+    const silences = [];
+    let start = null;
+    const onLine = (line) => {
+        const started = /silence_start: (-?[\d.]+)/.exec(line);
+        if (started) {
+            start = Math.max(0, parseFloat(started[1]));
+            return;
+        }
+        const ended = /silence_end: (-?[\d.]+)/.exec(line);
+        if (ended && start !== null) {
+            const end = parseFloat(ended[1]);
+            silences.push({ start: round3(start), end: round3(end), duration: round3(end - start) });
+            start = null;
+        }
+    };
+    const cmd = ffmpeg(inputPath)
+        .noVideo()
+        .audioFilters(`silencedetect=noise=${noise}dB:d=${minDuration}`);
+    return runAnalysis(cmd, 'Silence detection', onLine, job).then(() => {
+        if (start !== null && duration > start) {
+            silences.push({ start: round3(start), end: round3(duration), duration: round3(duration - start) });
+        }
+        return silences;
+    });
+}
+
+/**
+ * The parts of a `duration`-second clip left after cutting out `silences`,
+ * keeping `padding` seconds of each silence next to the sound around it.
+ * Returns `{ keep: [{ from, to }], removed: [{ start, end }] }`.
+ */
+function rangesWithoutSilence(silences, padding, duration) {
+    const removed = [];
+    for (const silence of silences) {
+        const start = silence.start <= 0 ? 0 : silence.start + padding;
+        const end = silence.end >= duration ? duration : silence.end - padding;
+        if (end - start > 0.001) removed.push({ start: round3(start), end: round3(end) });
+    }
+    const keep = [];
+    let from = 0;
+    for (const cut of removed) {
+        if (cut.start > from) keep.push({ from, to: cut.start });
+        from = cut.end;
+    }
+    if (from < duration) keep.push({ from, to: duration });
+    return { keep, removed };
+}
+
+module.exports = {
+    SCENE_DEFAULTS,
+    SILENCE_DEFAULTS,
+    DEFAULT_CUT_PADDING,
+    detectScenes,
+    detectSilences,
+    rangesWithoutSilence
+};
@@ -0,0 +1,269 @@
+const path = require('path');
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const { openCollection } = require('./store');
+const { probeBasics } = require('./probe');
+const { assetTtlMs } = require('../config/retention');
+const { ownsRecord } = require('./access');
+
+// Directories
+const UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
+const PROCESSED_DIR = path.join(__dirname, '..', 'processed');
+
+// ─── Asset IDs ───
+// Every file the API knows about is addressed as `<kind>:<filename>`:
+//   upload:3f2a…c1.mp4         original upload in uploads/
+//   processed:trimmed_9b…e4.mp4 output of an operation in processed/
+// Bare filenames are still accepted for older clients and are looked up in
+// uploads/ first, then processed/.
+// Filenames are server-generated (uuid, optional prefix, one extension), so anything
+// else, including every path separator and "..", is rejected before touching the disk.
+const ASSET_FILENAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,99}(\.[A-Za-z0-9]{1,10})?$/;
+const ASSET_DIRS = {
+    upload: UPLOADS_DIR,
+    processed: PROCESSED_DIR
+};
+
+// Known assets by id, including the parent(s) each derived asset was made from.
+// Records outlive their files (deletedAt is set) so lineage still reads after a cleanup.
+const assets = openCollection('assets');
+
+// Using an asset pushes its expiry back; record that at most once a minute
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+// 'registered' fires for every new asset file (lib/retention.js checks the quota)
+const assetEvents = new EventEmitter();
+
+function assetId(kind, filename) {
+    return `${kind}:${filename}`;
+}
+
+// `{ kind, filename }` (kind null for a bare filename), or null for a malformed reference
+function parseAssetRef(ref) {
+    if (typeof ref !== 'string') return null;
+    const sep = ref.indexOf(':');
+    const parsed = sep === -1
+        ? { kind: null, filename: ref }
+        : { kind: ref.slice(0, sep), filename: ref.slice(sep + 1) };
+    if (parsed.kind !== null && !Object.prototype.hasOwnProperty.call(ASSET_DIRS, parsed.kind)) return null;
+    return ASSET_FILENAME_PATTERN.test(parsed.filename) ? parsed : null;
+}
+
+function isValidAssetRef(ref) {
+    return parseAssetRef(ref) !== null;
+}
+
+// router.param() handler: malformed asset IDs in the URL are a 400, not a lookup
+function checkAssetParam(req, res, next, ref) {
+    if (isValidAssetRef(ref)) return next();
+    res.status(400).json({ error: 'Invalid asset ID' });
+}
+
+/**
+ * Resolve an asset ID (or legacy bare filename) to a file on disk.
+ * `user` is the caller (req.user): with API keys configured, other users' assets
+ * and files without a record don't resolve.
+ * Returns `{ id, kind, filename, path }`, or null when nothing matches.
+ */
+function resolveAsset(ref, user) {
+    const parsed = parseAssetRef(ref);
+    if (!parsed) return null;
+
+    const kinds = parsed.kind ? [parsed.kind] : Object.keys(ASSET_DIRS);
+    for (const kind of kinds) {
+        const id = assetId(kind, parsed.filename);
+        const filePath = path.join(ASSET_DIRS[kind], parsed.filename);
+        if (fs.existsSync(filePath) && ownsRecord(assets.get(id), user)) {
+            touchAsset(id);
+            return { id, kind, filename: parsed.filename, path: filePath };
+        }
+    }
+    return null;
+}
+
+function expiryFrom(time, record) {
+    return record.pinned ? null : new Date(time + assetTtlMs[record.kind]).toISOString();
+}
+
+function touchAsset(id) {
+    const record = assets.get(id);
+    const now = Date.now();
+    if (!record || record.deletedAt || now - Date.parse(record.lastAccessedAt) < TOUCH_INTERVAL_MS) return;
+    assets.update(id, { lastAccessedAt: new Date(now).toISOString(), expiresAt: expiryFrom(now, record) });
+}
+
+function assetPath(record) {
+    return path.join(ASSET_DIRS[record.kind], record.filename);
+}
+
+function fileSize(filePath) {
+    try {
+        return fs.statSync(filePath).size;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Record a new asset. `parents` are the asset IDs it was derived from and
+ * `operation` names the job that produced it (both empty for uploads).
+ * `media` is the probeBasics() summary; when left out the file is probed in
+ * the background. `owner` is the API user it belongs to (null while the API is open).
+ */
+function registerAsset(kind, filename, { parents = [], operation = null, originalName = null, owner = null, media } = {}) {
+    const filePath = path.join(ASSET_DIRS[kind], filename);
+    const now = new Date().toISOString();
+    const record = assets.set({
+        id: assetId(kind, filename),
+        kind,
+        filename,
+        originalName,
+        operation,
+        parents,
+        owner,
+        size: fileSize(filePath),
+        media: media || null,
+        pinned: false,
+        createdAt: now,
+        lastAccessedAt: now,
+        expiresAt: expiryFrom(Date.parse(now), { kind, pinned: false }),
+        deletedAt: null
+    });
+    assetEvents.emit('registered', record);
+    if (media === undefined) {
+        probeBasics(filePath)
+            .then(summary => assets.update(record.id, { media: summary }))
+            .catch(() => { /* not media we can read (fonts, LUTs, subtitles) */ });
+    }
+    return record;
+}
+
+function updateAsset(id, changes) {
+    return assets.update(id, changes);
+}
+
+// Owner of a recorded asset (null for unrecorded files and while the API is open)
+function assetOwner(id) {
+    const record = assets.get(id);
+    return record ? record.owner : null;
+}
+
+// Shorthand for the operation handlers: register a file written to processed/.
+// Outputs belong to whoever owns their (first) input.
+function registerOutput(filename, parents, operation) {
+    return registerAsset('processed', filename, { parents, operation, owner: parents.length > 0 ? assetOwner(parents[0]) : null });
+}
+
+// Registry record for a resolved asset; files nothing was recorded for get a bare record
+function getAssetRecord(asset) {
+    return assets.get(asset.id) || {
+        id: asset.id,
+        kind: asset.kind,
+        filename: asset.filename,
+        originalName: null,
+        operation: null,
+        parents: [],
+        owner: null,
+        size: fileSize(asset.path),
+        media: null,
+        pinned: false,
+        createdAt: null,
+        lastAccessedAt: null,
+        expiresAt: null,
+        deletedAt: null
+    };
+}
+
+// Pinned assets never expire and are never evicted. Files without a record get one.
+function setAssetPinned(asset, pinned) {
+    if (!assets.get(asset.id)) registerAsset(asset.kind, asset.filename);
+    const record = assets.get(asset.id);
+    return assets.update(asset.id, { pinned, expiresAt: expiryFrom(Date.now(), { ...record, pinned }) });
+}
+
+// Delete an asset's file and mark its record deleted (files without a record just go)
+function deleteAsset(asset) {
+    try {
+        fs.unlinkSync(asset.path || assetPath(asset));
+    } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+    }
+    return assets.update(asset.id, { deletedAt: new Date().toISOString(), expiresAt: null });
+}
+
+// Drop a deleted asset's record for good
+function forgetAsset(id) {
+    return assets.delete(id);
+}
+
+/**
+ * Asset records, newest first. Deleted files are left out unless `includeDeleted`.
+ * `kind`, `operation` and `user` (only assets that user may see) narrow the list down.
+ */
+function listAssets({ kind, operation, user, includeDeleted = false } = {}) {
+    return assets.values()
+        .filter(r => user === undefined || ownsRecord(r, user))
+        .filter(r => includeDeleted || !r.deletedAt)
+        .filter(r => !kind || r.kind === kind)
+        .filter(r => !operation || r.operation === operation)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Walk the edit history of an asset: every ancestor it was derived from
+ * (nearest first) and every asset derived from it.
+ */
+function getLineage(id) {
+    const ancestors = [];
+    const seen = new Set([id]);
+    let frontier = (assets.get(id) || { parents: [] }).parents;
+    while (frontier.length > 0) {
+        const next = [];
+        for (const parentId of frontier) {
+            if (seen.has(parentId)) continue;
+            seen.add(parentId);
+            const parent = assets.get(parentId) || { id: parentId, parents: [] };
+            ancestors.push(parent);
+            next.push(...(parent.parents || []));
+        }
+        frontier = next;
+    }
+
+    const descendants = [];
+    const queue = [id];
+    const visited = new Set([id]);
+    while (queue.length > 0) {
+        const current = queue.shift();
+        for (const record of assets.values()) {
+            if (!visited.has(record.id) && record.parents.includes(current)) {
+                visited.add(record.id);
+                descendants.push(record);
+                queue.push(record.id);
+            }
+        }
+    }
+
+    return { ancestors, descendants };
+}
+
+module.exports = {
+    UPLOADS_DIR,
+    PROCESSED_DIR,
+    ASSET_DIRS,
+    assetEvents,
+    assetId,
+    assetPath,
+    assetOwner,
+    isValidAssetRef,
+    checkAssetParam,
+    resolveAsset,
+    registerAsset,
+    registerOutput,
+    updateAsset,
+    getAssetRecord,
+    listAssets,
+    setAssetPinned,
+    deleteAsset,
+    forgetAsset,
+    getLineage
+};
@@ -0,0 +1,160 @@
+// ─── Audio mixing: background music, ducking, track replacement, loudness, denoise ───
+
+const MUSIC_DEFAULTS = { volume: 0.3, offset: 0, loop: true };
+const REPLACE_DEFAULTS = { volume: 1, offset: 0, loop: false };
+// Sidechain compressor settings for ducking music under speech
+const DUCK_DEFAULTS = { threshold: 0.05, ratio: 8, attack: 20, release: 400 };
+// EBU R128 targets; -16 LUFS is the usual level for online video
+const LOUDNESS_DEFAULTS = { loudness: -16, truePeak: -1.5, lra: 11 };
+const DENOISE_DEFAULTS = { strength: 12, noiseFloor: -50 };
+const MAX_FADE_SECONDS = 60;
+
+const LOUDNORM_STATS = ['input_i', 'input_tp', 'input_lra', 'input_thresh', 'target_offset'];
+
+// Defaults for every option the request left out
+function withDefaults(defaults, options = {}) {
+    const settings = { ...defaults };
+    for (const [key, value] of Object.entries(options)) {
+        if (value !== undefined) settings[key] = value;
+    }
+    return settings;
+}
+
+function inRange(value, min, max) {
+    return typeof value === 'number' && isFinite(value) && value >= min && value <= max;
+}
+
+/**
+ * Validate the options of an /audio operation. Returns an array of error
+ * messages (empty when valid).
+ */
+function validateAudioOptions(operation, body) {
+    const errors = [];
+    const check = (name, min, max, unit = '') => {
+        if (body[name] !== undefined && !inRange(body[name], min, max)) errors.push(`${name} must be between ${min} and ${max}${unit}`);
+    };
+
+    switch (operation) {
+        case 'volume':
+            check('volume', 0, 4);
+            break;
+        case 'fadeIn':
+        case 'fadeOut':
+            if (body.fadeDuration !== undefined && !(inRange(body.fadeDuration, 0, MAX_FADE_SECONDS) && body.fadeDuration > 0)) {
+                errors.push(`fadeDuration must be between 0 and ${MAX_FADE_SECONDS} seconds`);
+            }
+            break;
+        case 'music':
+        case 'replace': {
+            const source = operation === 'music' ? 'music' : 'audio';
+            if (!body[source]) errors.push(`${source} (an uploaded audio asset) is required`);
+            check(operation === 'music' ? 'musicVolume' : 'volume', 0, 4);
+            check('offset', 0, 86400, ' seconds');
+            if (body.loop !== undefined && typeof body.loop !== 'boolean') errors.push('loop must be true or false');
+            if (operation === 'music' && body.duck !== undefined && body.duck !== false) {
+                const duck = body.duck === true ? {} : body.duck;
+                if (!duck || typeof duck !== 'object') {
+                    errors.push('duck must be true or { threshold, ratio, attack, release }');
+                } else {
+                    if (duck.threshold !== undefined && !inRange(duck.threshold, 0.001, 1)) errors.push('duck.threshold must be between 0.001 and 1');
+                    if (duck.ratio !== undefined && !inRange(duck.ratio, 1, 20)) errors.push('duck.ratio must be between 1 and 20');
+                    if (duck.attack !== undefined && !inRange(duck.attack, 0.01, 2000)) errors.push('duck.attack must be between 0.01 and 2000 ms');
+                    if (duck.release !== undefined && !inRange(duck.release, 0.01, 9000)) errors.push('duck.release must be between 0.01 and 9000 ms');
+                }
+            }
+            break;
+        }
+        case 'normalize':
+            check('loudness', -70, -5, ' LUFS');
+            check('truePeak', -9, 0, ' dBTP');
+            check('lra', 1, 50, ' LU');
+            break;
+        case 'denoise':
+            check('strength', 0.01, 97, ' dB');
+            check('noiseFloor', -80, -20, ' dB');
+            break;
+    }
+    return errors;
+}
+
+// Second audio input (index 1) cut to fit a `duration`-second video, starting `offset` seconds in.
+// Looping is done on the input (-stream_loop -1), so the trim here is what ends it.
+function sourceChain({ volume, offset }, duration) {
+    const chain = [`volume=${volume}`, `atrim=duration=${Math.max(0, duration - offset)}`, 'asetpts=PTS-STARTPTS'];
+    if (offset > 0) chain.push(`adelay=${Math.round(offset * 1000)}:all=1`);
+    return chain.join(',');
+}
+
+/**
+ * Mix background music (input 1) under the video's own audio (input 0), optionally
+ * ducking it whenever the original track is loud (speech). Labels the result [aout].
+ */
+function buildMusicGraph(options, { duration, hasAudio }) {
+    const settings = withDefaults(MUSIC_DEFAULTS, options);
+    const filters = [`[1:a]${sourceChain(settings, duration)}[music]`];
+
+    if (!hasAudio) {
+        filters.push(`[music]apad=whole_dur=${duration}[aout]`);
+        return filters;
+    }
+    // normalize=0 keeps the original track at its own level instead of halving both
+    const mix = `amix=inputs=2:duration=first:dropout_transition=0:normalize=0[aout]`;
+    if (!settings.duck) {
+        filters.push(`[0:a][music]${mix}`);
+        return filters;
+    }
+    const duck = withDefaults(DUCK_DEFAULTS, settings.duck === true ? {} : settings.duck);
+    filters.push('[0:a]asplit=2[voice][sidechain]');
+    filters.push(`[music][sidechain]sidechaincompress=threshold=${duck.threshold}:ratio=${duck.ratio}:attack=${duck.attack}:release=${duck.release}[ducked]`);
+    filters.push(`[voice][ducked]${mix}`);
+    return filters;
+}
+
+// Input 1 becomes the whole audio track, padded with silence or cut to the video's length
+function buildReplaceGraph(options, { duration }) {
+    const settings = withDefaults(REPLACE_DEFAULTS, options);
+    return [`[1:a]${sourceChain(settings, duration)},apad=whole_dur=${duration}[aout]`];
+}
+
+/**
+ * loudnorm filter. Without `measured` this is the analysis pass (prints its stats as JSON);
+ * with the stats from that pass it normalizes linearly, which keeps the dynamics intact.
+ * loudnorm resamples to 192 kHz internally, so bring the rate back down afterwards.
+ */
+function loudnormFilter(options, measured) {
+    const { loudness, truePeak, lra } = withDefaults(LOUDNESS_DEFAULTS, options);
+    const target = `loudnorm=I=${loudness}:TP=${truePeak}:LRA=${lra}`;
+    if (!measured) return `${target}:print_format=json`;
+    return `${target}:measured_I=${measured.input_i}:measured_TP=${measured.input_tp}`
+        + `:measured_LRA=${measured.input_lra}:measured_thresh=${measured.input_thresh}`
+        + `:offset=${measured.target_offset}:linear=true,aresample=48000`;
+}
+
+// The analysis pass ends its stderr with a JSON object; null if missing or unusable (e.g. silence)
+function parseLoudnormStats(stderr) {
+    const start = stderr.lastIndexOf('{');
+    const end = stderr.lastIndexOf('}');
+    if (start === -1 || end < start) return null;
+    try {
+        const stats = JSON.parse(stderr.slice(start, end + 1));
+        return LOUDNORM_STATS.every(key => isFinite(parseFloat(stats[key]))) ? stats : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function denoiseFilter(options) {
+    const { strength, noiseFloor } = withDefaults(DENOISE_DEFAULTS, options);
+    return `afftdn=nr=${strength}:nf=${noiseFloor}`;
+}
+
+module.exports = {
+    MUSIC_DEFAULTS,
+    REPLACE_DEFAULTS,
+    validateAudioOptions,
+    buildMusicGraph,
+    buildReplaceGraph,
+    loudnormFilter,
+    parseLoudnormStats,
+    denoiseFilter
+};
@@ -0,0 +1,12 @@
+const fs = require('fs');
+
+// Helper: safely delete a file
+function safeDelete(filePath) {
+    try {
+        if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    } catch (e) { /* ignore */ }
+}
+
+module.exports = {
+    safeDelete
+};
@@ -0,0 +1,68 @@
+const path = require('path');
+const fs = require('fs');
+const { ownsRecord } = require('./access');
+
+// Saved filter stacks are stored as one JSON file each: filter-presets/<name>.json.
+// Each belongs to the user who saved it (they may reference that user's LUTs).
+const FILTER_PRESETS_DIR = path.join(__dirname, '..', 'filter-presets');
+const FILTER_PRESET_NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+if (!fs.existsSync(FILTER_PRESETS_DIR)) fs.mkdirSync(FILTER_PRESETS_DIR, { recursive: true });
+
+function filterPresetPath(name) {
+    return path.join(FILTER_PRESETS_DIR, `${name}.json`);
+}
+
+// Whoever's preset it is, or null
+function readFilterPreset(name) {
+    if (!FILTER_PRESET_NAME_PATTERN.test(String(name))) return null;
+    try {
+        return JSON.parse(fs.readFileSync(filterPresetPath(name), 'utf8'));
+    } catch (e) {
+        return null;
+    }
+}
+
+// The preset if `user` owns it
+function getFilterPreset(name, user) {
+    const preset = readFilterPreset(name);
+    return preset && ownsRecord(preset, user) ? preset : null;
+}
+
+function listFilterPresets(user) {
+    return fs.readdirSync(FILTER_PRESETS_DIR)
+        .filter(f => f.endsWith('.json'))
+        .map(f => getFilterPreset(path.basename(f, '.json'), user))
+        .filter(Boolean)
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Save (or replace) `user`'s preset. Returns null when another user already has one
+ * by that name. Written to a temp file first so a crash never leaves a half-written preset.
+ */
+function saveFilterPreset({ name, label, filters }, user) {
+    const existing = readFilterPreset(name);
+    if (existing && !ownsRecord(existing, user)) return null;
+    const now = new Date().toISOString();
+    const preset = { name, label: label || name, filters, owner: user || null, createdAt: existing ? existing.createdAt : now, updatedAt: now };
+    const target = filterPresetPath(name);
+    const tmp = `${target}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(preset, null, 2));
+    fs.renameSync(tmp, target);
+    return preset;
+}
+
+function deleteFilterPreset(name, user) {
+    if (!getFilterPreset(name, user)) return false;
+    fs.unlinkSync(filterPresetPath(name));
+    return true;
+}
+
+module.exports = {
+    FILTER_PRESET_NAME_PATTERN,
+    getFilterPreset,
+    listFilterPresets,
+    saveFilterPreset,
+    deleteFilterPreset
+};
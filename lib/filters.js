@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+const { resolveAsset } = require('./assets');
+const { getFilterPreset } = require('./filterPresets');
+
+// ─── Named video filters ───
+// Used by /filter, pipeline 'filter' steps and saved filter presets. Each filter takes
+// optional numeric params ({ min, max, default }); the defaults reproduce the original
+// fixed presets, so `'sepia'` alone still means what it always did.
+const GRAYSCALE_MATRIX = [0.3, 0.4, 0.3, 0, 0.3, 0.4, 0.3, 0, 0.3, 0.4, 0.3];
+const SEPIA_MATRIX = [0.393, 0.769, 0.189, 0, 0.349, 0.686, 0.168, 0, 0.272, 0.534, 0.131];
+const IDENTITY_MATRIX = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+// colorchannelmixer blended between the identity (intensity 0) and `matrix` (intensity 1)
+function colorMatrixFilter(matrix, intensity) {
+    const values = matrix.map((v, i) => Number((IDENTITY_MATRIX[i] * (1 - intensity) + v * intensity).toFixed(4)));
+    return `colorchannelmixer=${values.join(':')}`;
+}
+
+const INTENSITY = { min: 0, max: 1, default: 1 };
+
+const FILTER_DEFINITIONS = {
+    grayscale: { params: { intensity: INTENSITY }, build: p => colorMatrixFilter(GRAYSCALE_MATRIX, p.intensity) },
+    sepia: { params: { intensity: INTENSITY }, build: p => colorMatrixFilter(SEPIA_MATRIX, p.intensity) },
+    blur: {
+        params: { radius: { min: 1, max: 20, default: 5 }, power: { min: 1, max: 5, default: 1 } },
+        build: p => `boxblur=${p.radius}:${Math.round(p.power)}`
+    },
+    sharpen: {
+        // unsharp needs an odd matrix size
+        params: { amount: { min: -2, max: 5, default: 1 }, size: { min: 3, max: 13, default: 5 } },
+        build: (p) => {
+            const size = Math.round(p.size) % 2 === 0 ? Math.round(p.size) + 1 : Math.round(p.size);
+            return `unsharp=${size}:${size}:${p.amount}:${size}:${size}:0.0`;
+        }
+    },
+    brightness: { params: { value: { min: -1, max: 1, default: 0.15 } }, build: p => `eq=brightness=${p.value}` },
+    contrast: { params: { value: { min: 0, max: 3, default: 1.5 } }, build: p => `eq=contrast=${p.value}` },
+    saturate: { params: { value: { min: 0, max: 3, default: 2.0 } }, build: p => `eq=saturation=${p.value}` },
+    gamma: { params: { value: { min: 0.1, max: 10, default: 1.3 } }, build: p => `eq=gamma=${p.value}` },
+    // All eq adjustments in one filter
+    color: {
+        params: {
+            brightness: { min: -1, max: 1, default: 0 },
+            contrast: { min: 0, max: 3, default: 1 },
+            saturation: { min: 0, max: 3, default: 1 },
+            gamma: { min: 0.1, max: 10, default: 1 }
+        },
+        build: p => `eq=brightness=${p.brightness}:contrast=${p.contrast}:saturation=${p.saturation}:gamma=${p.gamma}`
+    },
+    hue: { params: { degrees: { min: -180, max: 180, default: 30 } }, build: p => `hue=h=${p.degrees}` },
+    vignette: { params: { angle: { min: 0, max: Math.PI / 2, default: Math.PI / 4 } }, build: p => `vignette=${p.angle}` },
+    vintage: { params: {}, build: () => 'curves=vintage' },
+    negative: { params: {}, build: () => 'negate' },
+    mirror: { params: {}, build: () => 'hflip' },
+    emboss: { params: {}, build: () => 'convolution=-2 -1 0 -1 1 1 0 1 2:-2 -1 0 -1 1 1 0 1 2:-2 -1 0 -1 1 1 0 1 2:-2 -1 0 -1 1 1 0 1 2:5:5:5:5:0:128' },
+    // 3D LUT from an uploaded .cube file: { name: 'lut', lut: '<asset id>', intensity }
+    lut: { params: { intensity: INTENSITY } }
+};
+
+const MAX_FILTER_STACK = 10;
+
+function isLutFile(filename) {
+    return path.extname(filename).toLowerCase() === '.cube';
+}
+
+// Built-in filters with their parameters, for GET /api/filters
+function listFilterDefinitions() {
+    return Object.entries(FILTER_DEFINITIONS).map(([name, def]) => ({ name, params: def.params }));
+}
+
+// lut3d, optionally mixed back with the original frame. `label` names the pads of the mix
+// and must be unique within the graph (see compileFilterStack's labelPrefix).
+function lutFilter(lutPath, intensity, label) {
+    const lut = `lut3d=file='${escapeFilterPath(lutPath)}'`;
+    if (intensity >= 1) return lut;
+    return `split[${label}_a][${label}_b];[${label}_b]${lut}[${label}_c];[${label}_c][${label}_a]blend=all_mode=normal:all_opacity=${intensity}`;
+}
+
+/**
+ * Compile an ordered filter stack into -vf filters. Entries are a filter or saved preset
+ * name (`'sepia'`) or `{ name, ...params }`. Saved presets expand to their own stack
+ * (but can't contain other presets: pass `allowPresets: false` when validating one).
+ * `user` is the caller, whose saved presets and uploaded LUTs may be referenced.
+ * Pad labels come from `labelPrefix` and each entry's position, so the same stack always
+ * compiles to the same string; give stacks that share one graph different prefixes.
+ * Returns `{ filters, lutAssets }` or `{ errors }`.
+ */
+function compileFilterStack(stack, { allowPresets = true, labelPrefix = 'lut', user } = {}) {
+    if (!Array.isArray(stack) || stack.length === 0) return { errors: ['filters must be a non-empty array'] };
+    if (stack.length > MAX_FILTER_STACK) return { errors: [`at most ${MAX_FILTER_STACK} filters can be stacked`] };
+
+    const errors = [];
+    const filters = [];
+    const lutAssets = [];
+    const addLut = (asset) => {
+        if (!lutAssets.some(a => a.id === asset.id)) lutAssets.push(asset);
+    };
+
+    stack.forEach((entry, index) => {
+        const spec = typeof entry === 'string' ? { name: entry } : (entry || {});
+        const where = `filters[${index}]`;
+        const definition = Object.prototype.hasOwnProperty.call(FILTER_DEFINITIONS, spec.name) ? FILTER_DEFINITIONS[spec.name] : null;
+
+        if (!definition) {
+            const saved = allowPresets ? getFilterPreset(spec.name, user) : null;
+            if (!saved) return errors.push(`${where}: unknown filter '${spec.name}'`);
+            const expanded = compileFilterStack(saved.filters, { allowPresets: false, labelPrefix: `${labelPrefix}${index}_`, user });
+            if (expanded.errors) return errors.push(...expanded.errors.map(e => `${where} (preset '${spec.name}'): ${e}`));
+            filters.push(...expanded.filters);
+            expanded.lutAssets.forEach(addLut);
+            return;
+        }
+
+        const params = {};
+        for (const [key, range] of Object.entries(definition.params)) {
+            const value = spec[key] === undefined ? range.default : Number(spec[key]);
+            if (!isFinite(value) || value < range.min || value > range.max) {
+                errors.push(`${where}: ${key} must be between ${range.min} and ${range.max}`);
+            }
+            params[key] = value;
+        }
+
+        if (spec.name === 'lut') {
+            const asset = spec.lut ? resolveAsset(spec.lut, user) : null;
+            if (!asset || !isLutFile(asset.filename)) return errors.push(`${where}: lut must reference an uploaded .cube file`);
+            addLut(asset);
+            filters.push(lutFilter(asset.path, params.intensity, `${labelPrefix}${index}`));
+            return;
+        }
+        filters.push(definition.build(params));
+    });
+
+    return errors.length > 0 ? { errors } : { filters, lutAssets };
+}
+
+// Escape a file path for use inside a quoted filter option: forward slashes, escaped colons
+function escapeFilterPath(filePath) {
+    return filePath.replace(/\\/g, '/').replace(/:/g, '\\:');
+}
+
+// Helper: find a system font (Linux for Render, Windows for local dev)
+function getSystemFont() {
+    const candidates = [
+        // Linux (Render)
+        '/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf',
+        '/usr/share/fonts/truetype/liberation/LiberationSans-Regular.ttf',
+        '/usr/share/fonts/truetype/freefont/FreeSans.ttf',
+        // Windows (local dev)
+        'C:/Windows/Fonts/arial.ttf',
+        'C:/Windows/Fonts/segoeui.ttf',
+        'C:/Windows/Fonts/tahoma.ttf',
+    ];
+    for (const f of candidates) {
+        if (fs.existsSync(f)) {
+            return escapeFilterPath(f);
+        }
+    }
+    return null;
+}
+
+// Escape text for a quoted drawtext `text='...'` option. It is unescaped twice before
+// drawtext sees it (filter option parsing, then drawtext's own %{...} expansion), so a
+// literal backslash or percent sign needs escaping for both levels.
+function escapeDrawText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\\\\\')    // \ -> \\\\ -> \\ -> \
+        .replace(/'/g, "\u2019")       // can't appear inside the quotes: use a right single quote
+        .replace(/:/g, '\\:')         // option separator
+        .replace(/%/g, '\\\\%');      // % -> \\% -> \% -> %, never the start of an expansion
+}
+
+// ─── Audio filters ───
+const FADE_DURATION = 3; // seconds, unless the request gives fadeDuration
+
+function fadeInFilter(fadeDuration = FADE_DURATION) {
+    return `afade=t=in:st=0:d=${fadeDuration}`;
+}
+
+// Fade out over the last `fadeDuration` seconds of a clip `duration` seconds long
+function fadeOutFilter(duration, fadeDuration = FADE_DURATION) {
+    const fadeStart = Math.max(0, duration - fadeDuration);
+    return `afade=t=out:st=${fadeStart}:d=${fadeDuration}`;
+}
+
+// Unchanged when no volume is given; 0 is silence
+function volumeFilter(volume) {
+    return `volume=${volume === undefined || volume === null ? 1.0 : Number(volume)}`;
+}
+
+module.exports = {
+    FILTER_DEFINITIONS,
+    isLutFile,
+    listFilterDefinitions,
+    compileFilterStack,
+    getSystemFont,
+    escapeFilterPath,
+    escapeDrawText,
+    fadeInFilter,
+    fadeOutFilter,
+    volumeFilter
+};
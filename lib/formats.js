@@ -0,0 +1,235 @@
+const path = require('path');
+
+// ─── Output containers and codecs ───
+// Requests pick `format` (container) and optionally `videoCodec` / `audioCodec`;
+// the first codec listed for a format is its default.
+const OUTPUT_FORMATS = {
+    // Video containers
+    mp4: { type: 'video', extension: 'mp4', mime: 'video/mp4', videoCodecs: ['h264', 'hevc'], audioCodecs: ['aac', 'mp3'], faststart: true },
+    webm: { type: 'video', extension: 'webm', mime: 'video/webm', videoCodecs: ['vp9'], audioCodecs: ['opus'] },
+    mov: { type: 'video', extension: 'mov', mime: 'video/quicktime', videoCodecs: ['h264', 'hevc', 'prores'], audioCodecs: ['aac', 'pcm'], faststart: true },
+    gif: { type: 'video', extension: 'gif', mime: 'image/gif', videoCodecs: ['gif'], audioCodecs: [] },
+    // Audio-only containers (audio extraction)
+    mp3: { type: 'audio', extension: 'mp3', mime: 'audio/mpeg', audioCodecs: ['mp3'] },
+    wav: { type: 'audio', extension: 'wav', mime: 'audio/wav', audioCodecs: ['pcm'] },
+    flac: { type: 'audio', extension: 'flac', mime: 'audio/flac', audioCodecs: ['flac'] },
+    m4a: { type: 'audio', extension: 'm4a', mime: 'audio/mp4', audioCodecs: ['aac'], faststart: true },
+    opus: { type: 'audio', extension: 'opus', mime: 'audio/ogg', audioCodecs: ['opus'] }
+};
+
+const FORMAT_ALIASES = { aac: 'm4a', ogg: 'opus', quicktime: 'mov' };
+const CODEC_ALIASES = { h265: 'hevc', x264: 'h264', x265: 'hevc', vp09: 'vp9', wav: 'pcm' };
+
+// MIME types for streaming/downloading anything in uploads/ or processed/
+const MIME_TYPES = {
+    mp4: 'video/mp4',
+    m4v: 'video/mp4',
+    mov: 'video/quicktime',
+    webm: 'video/webm',
+    mkv: 'video/x-matroska',
+    avi: 'video/x-msvideo',
+    gif: 'image/gif',
+    mp3: 'audio/mpeg',
+    wav: 'audio/wav',
+    flac: 'audio/flac',
+    m4a: 'audio/mp4',
+    aac: 'audio/aac',
+    opus: 'audio/ogg',
+    ogg: 'audio/ogg',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    webp: 'image/webp',
+    srt: 'application/x-subrip',
+    vtt: 'text/vtt',
+    ass: 'text/x-ssa',
+    ssa: 'text/x-ssa',
+    cube: 'text/plain',
+    ttf: 'font/ttf',
+    otf: 'font/otf',
+    // HLS/DASH packages
+    m3u8: 'application/vnd.apple.mpegurl',
+    mpd: 'application/dash+xml',
+    ts: 'video/mp2t',
+    m4s: 'video/iso.segment'
+};
+
+// What each container family (by ffprobe format name) may be served as; the first entry is
+// used for files with video, the first audio/ entry for audio-only files
+const CONTAINER_MIME_TYPES = [
+    ['mov', ['video/mp4', 'video/quicktime', 'audio/mp4']],
+    ['matroska', ['video/webm', 'video/x-matroska', 'audio/webm']],
+    ['mp3', ['audio/mpeg']],
+    ['wav', ['audio/wav']],
+    ['flac', ['audio/flac']],
+    ['ogg', ['audio/ogg']],
+    ['aac', ['audio/aac']],
+    ['gif', ['image/gif']],
+    ['avi', ['video/x-msvideo']]
+];
+
+// Extensions an upload in each container family may keep; one that doesn't match is replaced by
+// the first entry (the first audio extension for audio-only files). Other containers keep theirs.
+const CONTAINER_EXTENSIONS = [
+    ['mov', ['mp4', 'mov', 'm4v', 'm4a']],
+    ['matroska', ['mkv', 'webm']],
+    ['mp3', ['mp3']],
+    ['wav', ['wav']],
+    ['flac', ['flac']],
+    ['ogg', ['ogg', 'opus']],
+    ['aac', ['aac']],
+    ['gif', ['gif']],
+    ['avi', ['avi']],
+    ['mpegts', ['ts']],
+    ['png_pipe', ['png']],
+    ['jpeg_pipe', ['jpg', 'jpeg']],
+    ['webp_pipe', ['webp']]
+];
+
+/**
+ * Extension (without the dot) a file should carry given what ffprobe found in it.
+ * `media` is a probeBasics() summary; returns `extension` unchanged when it already fits.
+ */
+function extensionFor(extension, media) {
+    const names = media.container ? media.container.split(',') : [];
+    const family = CONTAINER_EXTENSIONS.find(([name]) => names.includes(name));
+    if (!family) return extension;
+    const extensions = family[1];
+    if (extensions.includes(extension.toLowerCase())) return extension;
+    return (!media.hasVideo && extensions.find(e => (MIME_TYPES[e] || '').startsWith('audio/'))) || extensions[0];
+}
+
+/**
+ * MIME type for a file in uploads/ or processed/. `media` is the asset's probeBasics()
+ * summary: uploads in containers extensionFor() doesn't know keep the client's extension,
+ * so the probed container wins when the extension disagrees with it (the extension still
+ * tells MP4 from MOV or M4A).
+ */
+function mimeTypeFor(filename, media) {
+    const ext = path.extname(filename).slice(1).toLowerCase();
+    const byExtension = MIME_TYPES[ext] || 'application/octet-stream';
+    const names = media && media.container ? media.container.split(',') : [];
+    const family = CONTAINER_MIME_TYPES.find(([name]) => names.includes(name));
+    if (!family) return byExtension;
+    const types = family[1];
+    if (types.includes(byExtension)) return byExtension;
+    return (!media.hasVideo && types.find(t => t.startsWith('audio/'))) || types[0];
+}
+
+/**
+ * Validate a request's `{ format, videoCodec, audioCodec }` for a video or audio output.
+ * Returns `{ format }` with the resolved spec, or `{ error }` describing the mismatch.
+ */
+function resolveOutputFormat({ format, videoCodec, audioCodec } = {}, type = 'video') {
+    const requested = format ? String(format).toLowerCase() : (type === 'video' ? 'mp4' : 'mp3');
+    const name = FORMAT_ALIASES[requested] || requested;
+    const spec = OUTPUT_FORMATS[name];
+    if (!spec) return { error: `Unknown output format: ${format}` };
+    if (spec.type !== type) return { error: `Format '${name}' is not a${type === 'audio' ? 'n audio' : ' video'} format` };
+
+    const pick = (requestedCodec, allowed, kind) => {
+        if (requestedCodec === undefined || requestedCodec === null || requestedCodec === '') return { codec: allowed[0] || null };
+        const codec = CODEC_ALIASES[String(requestedCodec).toLowerCase()] || String(requestedCodec).toLowerCase();
+        if (!allowed.includes(codec)) {
+            return { error: `${kind} codec '${requestedCodec}' is not supported in ${name} (allowed: ${allowed.join(', ') || 'none'})` };
+        }
+        return { codec };
+    };
+
+    const video = spec.type === 'video' ? pick(videoCodec, spec.videoCodecs, 'Video') : { codec: null };
+    if (video.error) return { error: video.error };
+    if (spec.type === 'audio' && videoCodec) return { error: `Format '${name}' cannot contain video` };
+    const audio = pick(audioCodec, spec.audioCodecs, 'Audio');
+    if (audio.error) return { error: audio.error };
+
+    return {
+        format: {
+            name,
+            extension: spec.extension,
+            mime: spec.mime,
+            videoCodec: video.codec,
+            audioCodec: audio.codec,
+            faststart: !!spec.faststart
+        }
+    };
+}
+
+// Default output for operations when the request names no format
+const DEFAULT_VIDEO_FORMAT = resolveOutputFormat({}, 'video').format;
+
+// Single-input -vf tail that turns any video into a good-looking GIF (palettegen/paletteuse)
+const GIF_PALETTE_FILTER = 'fps=12,split[gif_a][gif_b];[gif_a]palettegen=stats_mode=diff[gif_pal];[gif_b][gif_pal]paletteuse=dither=bayer:bayer_scale=5';
+
+const FAST_SPEEDS = ['ultrafast', 'superfast', 'veryfast', 'faster'];
+
+/**
+ * Encoder options for a video codec, translating the preset's x264-style
+ * quality settings (crf/preset/maxrate) to the chosen encoder.
+ */
+function videoCodecOptions(codec, quality = {}) {
+    const crf = quality.crf !== undefined ? Number(quality.crf) : 23;
+    const speed = quality.preset || 'veryfast';
+    const rateCap = [];
+    if (quality.maxrate) rateCap.push('-maxrate', quality.maxrate);
+    if (quality.bufsize) rateCap.push('-bufsize', quality.bufsize);
+
+    switch (codec) {
+        case 'hevc':
+            // x265 CRF runs roughly 5 higher than x264 for the same quality; hvc1 tag for Apple players
+            return ['-c:v', 'libx265', '-preset', speed, '-crf', String(Math.min(51, crf + 5)), ...rateCap, '-pix_fmt', 'yuv420p', '-tag:v', 'hvc1'];
+        case 'vp9':
+            // Constant-quality mode needs -b:v 0; realtime deadline keeps memory and time close to x264 ultrafast
+            return ['-c:v', 'libvpx-vp9', '-crf', String(Math.min(63, Math.round(crf * 1.4))), '-b:v', '0',
+                '-deadline', FAST_SPEEDS.includes(speed) ? 'realtime' : 'good',
+                '-cpu-used', FAST_SPEEDS.includes(speed) ? '8' : '4', '-row-mt', '1', '-pix_fmt', 'yuv420p'];
+        case 'prores':
+            // Profile 0 = ProRes 422 Proxy, meant for editing rather than delivery
+            return ['-c:v', 'prores_ks', '-profile:v', '0', '-vendor', 'apl0', '-pix_fmt', 'yuv422p10le'];
+        case 'gif':
+            return ['-c:v', 'gif'];
+        default:
+            return ['-c:v', 'libx264', '-preset', speed, '-crf', String(crf), ...rateCap, '-pix_fmt', 'yuv420p'];
+    }
+}
+
+const OPUS_SAMPLE_RATES = [8000, 12000, 16000, 24000, 48000];
+
+// Encoder options for an audio codec using the preset's audio settings
+function audioCodecOptions(codec, settings = {}) {
+    const opts = [];
+    switch (codec) {
+        case 'mp3':
+            opts.push('-c:a', 'libmp3lame', '-b:a', settings.bitrate || '128k');
+            break;
+        case 'opus':
+            opts.push('-c:a', 'libopus', '-b:a', settings.bitrate || '96k');
+            break;
+        case 'flac':
+            opts.push('-c:a', 'flac');
+            break;
+        case 'pcm':
+            opts.push('-c:a', 'pcm_s16le');
+            break;
+        default:
+            opts.push('-c:a', 'aac');
+            if (settings.bitrate) opts.push('-b:a', settings.bitrate);
+    }
+    if (settings.channels) opts.push('-ac', String(settings.channels));
+    if (settings.sampleRate) {
+        // libopus only encodes at a few fixed rates
+        const rate = codec === 'opus' && !OPUS_SAMPLE_RATES.includes(settings.sampleRate) ? 48000 : settings.sampleRate;
+        opts.push('-ar', String(rate));
+    }
+    return opts;
+}
+
+module.exports = {
+    OUTPUT_FORMATS,
+    DEFAULT_VIDEO_FORMAT,
+    GIF_PALETTE_FILTER,
+    extensionFor,
+    mimeTypeFor,
+    resolveOutputFormat,
+    videoCodecOptions,
+    audioCodecOptions
+};
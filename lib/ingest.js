@@ -0,0 +1,250 @@
+const path = require('path');
+const fs = require('fs');
+const ffmpeg = require('fluent-ffmpeg');
+const { v4: uuidv4 } = require('uuid');
+const { UPLOADS_DIR } = require('./assets');
+const { enqueueJob } = require('./jobs');
+const { probeMedia, probeErrorMessage, basicsOf } = require('./probe');
+const { extensionFor, videoCodecOptions, audioCodecOptions } = require('./formats');
+const { isSubtitleFile } = require('./subtitles');
+const { isLutFile } = require('./filters');
+const { isFontFile } = require('./textLayers');
+const { finishUpload } = require('./uploads');
+const { maxDurationMs, maxWidth, maxHeight, mezzanineCrf } = require('../config/ingest');
+
+// ─── Ingest: what an upload really contains, limits, and mezzanine copies (see config/ingest.js) ───
+
+// Codecs every operation decodes reliably and seeks in quickly; anything else gets a mezzanine
+const EDITABLE_VIDEO_CODECS = ['h264', 'mpeg4', 'vp8', 'vp9', 'prores', 'mjpeg', 'gif'];
+const EDITABLE_AUDIO_CODECS = ['aac', 'mp3', 'opus', 'vorbis', 'flac'];   // and PCM
+// Average and nominal frame rate further apart than this (relative) means variable frame rate
+const VFR_TOLERANCE = 0.002;
+// Mezzanines are constant frame rate; near-misses (phones average 29.87 for "30") are snapped
+const COMMON_FRAME_RATES = [23.976, 24, 25, 29.97, 30, 48, 50, 59.94, 60];
+const MAX_MEZZANINE_FPS = 60;
+
+// What ffprobe calls each subtitle format (by extension)
+const SUBTITLE_PROBE_FORMATS = { srt: 'srt', vtt: 'webvtt', ass: 'ass', ssa: 'ass' };
+// A .cube LUT declares its size in the header, before the table
+const LUT_HEADER_BYTES = 64 * 1024;
+const LUT_SIZE_PATTERN = /^\s*LUT_3D_SIZE\s+\d+\s*$/m;
+// sfnt version tags: TrueType outlines (0x00010000 or 'true') and CFF outlines ('OTTO');
+// either kind turns up under both extensions
+const FONT_SIGNATURES = ['00010000', '74727565', '4f54544f'];
+
+// The first `bytes` bytes of a file (fewer if it is shorter)
+async function readHead(filePath, bytes) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const { buffer, bytesRead } = await handle.read(Buffer.alloc(bytes), 0, bytes, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+// Subtitles, LUTs and fonts aren't audio or video; the error message if the content doesn't match the extension
+async function checkSidecarFile(filename) {
+    const filePath = path.join(UPLOADS_DIR, filename);
+    const ext = path.extname(filename).slice(1).toLowerCase();
+    if (isSubtitleFile(filename)) {
+        let media;
+        try {
+            media = await probeMedia(filePath);
+        } catch (e) {
+            return `Not a readable subtitle file: ${probeErrorMessage(e)}`;
+        }
+        const expected = SUBTITLE_PROBE_FORMATS[ext];
+        if (media.format.name !== expected || !media.streams.some(s => s.type === 'subtitle')) {
+            return `Not a ${ext.toUpperCase()} subtitle file (found ${media.format.name || 'unknown'})`;
+        }
+        return null;
+    }
+    if (isLutFile(filename)) {
+        const head = await readHead(filePath, LUT_HEADER_BYTES);
+        if (head.includes(0) || !LUT_SIZE_PATTERN.test(head.toString('latin1'))) return 'Not a 3D .cube LUT (no LUT_3D_SIZE line)';
+        return null;
+    }
+    const head = await readHead(filePath, 4);
+    if (!FONT_SIGNATURES.includes(head.toString('hex'))) return 'Not a TrueType or OpenType font';
+    return null;
+}
+
+function isVariableFrameRate(video) {
+    if (!video.frameRate || !video.nominalFrameRate) return false;
+    return Math.abs(video.frameRate - video.nominalFrameRate) / video.nominalFrameRate > VFR_TOLERANCE;
+}
+
+function isHighBitDepth(video) {
+    return (video.bitDepth || 0) > 8 || /p1[0-6](le|be)$/.test(video.pixelFormat || '');
+}
+
+function mezzanineFrameRate(video) {
+    const fps = Math.min(video.frameRate || video.nominalFrameRate || 30, MAX_MEZZANINE_FPS);
+    const closest = COMMON_FRAME_RATES.reduce((best, r) => Math.abs(r - fps) < Math.abs(best - fps) ? r : best);
+    return Math.abs(closest - fps) / closest < 0.03 ? closest : Math.round(fps * 1000) / 1000;
+}
+
+/**
+ * Probe a file that has just landed in uploads/. Resolves to `{ error, details }` when it
+ * must be rejected, otherwise `{ media, video, audio, reasons }`: the probeMedia() result,
+ * the streams a mezzanine would keep and why one is needed (empty: use the file as it is).
+ * Subtitles, LUTs and fonts only have their content checked (`media` is null).
+ */
+async function inspectUpload(filename) {
+    if (isSubtitleFile(filename) || isLutFile(filename) || isFontFile(filename)) {
+        const mismatch = await checkSidecarFile(filename);
+        if (mismatch) return { error: 'File content does not match its type', details: mismatch };
+        return { media: null, video: null, audio: null, reasons: [] };
+    }
+
+    let media;
+    try {
+        media = await probeMedia(path.join(UPLOADS_DIR, filename));
+    } catch (e) {
+        return { error: 'Not a readable media file', details: probeErrorMessage(e) };
+    }
+    // ffprobe lists streams it can't decode without a codec name
+    const streams = media.streams.filter(s => (s.type === 'video' || s.type === 'audio') && s.codec && !s.attachedPicture);
+    const video = streams.find(s => s.type === 'video');
+    const audio = streams.find(s => s.type === 'audio');
+    if (!video && !audio) return { error: 'No decodable audio or video stream' };
+
+    const limits = [];
+    const duration = media.summary.duration;
+    if (duration * 1000 > maxDurationMs) {
+        limits.push(`duration ${Math.round(duration)}s is over the ${Number((maxDurationMs / 60000).toFixed(1))} minute limit`);
+    }
+    if (video) {
+        const long = Math.max(video.displayWidth, video.displayHeight);
+        const short = Math.min(video.displayWidth, video.displayHeight);
+        if (long > maxWidth || short > maxHeight) {
+            limits.push(`resolution ${video.displayWidth}x${video.displayHeight} is over the ${maxWidth}x${maxHeight} limit`);
+        }
+    }
+    if (limits.length > 0) return { error: 'File exceeds the upload limits', details: limits };
+
+    // Still images (image2, png_pipe, …) are used as they are
+    const still = (media.format.name || '').split(',').some(n => n === 'image2' || n.endsWith('_pipe'));
+    const reasons = [];
+    if (video && !still) {
+        if (!EDITABLE_VIDEO_CODECS.includes(video.codec)) reasons.push(`${video.codec} video`);
+        if (video.rotation) reasons.push(`rotated ${video.rotation}°`);
+        if (isVariableFrameRate(video)) reasons.push('variable frame rate');
+        if (isHighBitDepth(video)) reasons.push(`${video.pixelFormat} pixels`);
+    }
+    if (audio && !EDITABLE_AUDIO_CODECS.includes(audio.codec) && !audio.codec.startsWith('pcm_')) {
+        reasons.push(`${audio.codec} audio`);
+    }
+    return { media, video: still ? null : video, audio, reasons };
+}
+
+// Rename an upload whose extension doesn't match its container (e.g. a WebM called .mp4);
+// returns the filename to use from now on
+function fixExtension(filename, { media }) {
+    if (!media) return filename;
+    const ext = path.extname(filename).slice(1);
+    const fitting = extensionFor(ext, { container: media.format.name, hasVideo: media.summary.hasVideo });
+    if (fitting === ext) return filename;
+
+    const renamed = `${path.basename(filename, path.extname(filename))}.${fitting}`;
+    fs.renameSync(path.join(UPLOADS_DIR, filename), path.join(UPLOADS_DIR, renamed));
+    return renamed;
+}
+
+// Delete a rejected upload
+function discardUpload(filename) {
+    fs.rmSync(path.join(UPLOADS_DIR, filename), { force: true });
+}
+
+/**
+ * Encode the mezzanine: H.264 (rotation applied, even size, square pixels, 8-bit 4:2:0,
+ * constant frame rate) and AAC, in MP4 (M4A without video).
+ */
+function writeMezzanine(inputPath, outputPath, { video, audio }, job) {
+    const options = [];
+    if (video) {
+        // FFmpeg rotates the picture upright while decoding, so the rotation tag has to go
+        options.push('-map', `0:${video.index}`, ...videoCodecOptions('h264', { crf: mezzanineCrf, preset: 'veryfast' }),
+            '-fps_mode', 'cfr', '-r', String(mezzanineFrameRate(video)), '-metadata:s:v:0', 'rotate=0');
+    }
+    if (audio) options.push('-map', `0:${audio.index}`, ...audioCodecOptions('aac', { bitrate: '192k' }));
+    options.push('-movflags', '+faststart');
+
+    return new Promise((resolve, reject) => {
+        const cmd = job.track(ffmpeg(inputPath));
+        if (video) cmd.videoFilters(['scale=trunc(iw/2)*2:trunc(ih/2)*2', 'setsar=1']);
+        cmd.outputOptions(options)
+            .format('mp4')
+            .output(outputPath)
+            .on('start', (commandLine) => {
+                console.log('  📥 FFmpeg command:', commandLine);
+            })
+            .on('progress', (progress) => {
+                if (progress.percent) console.log(`  📥 Mezzanine progress: ${Math.round(progress.percent)}%`);
+                job.progress(progress.percent);
+            })
+            .on('end', () => resolve())
+            .on('error', (err) => {
+                console.error('Mezzanine error:', err.message);
+                fs.rmSync(outputPath, { force: true });
+                reject(new Error(`Failed to normalize upload: ${err.message}`));
+            })
+            .run();
+    });
+}
+
+/**
+ * Register an upload that passed inspectUpload(). Resolves to `{ upload }` with the
+ * upload response, plus `{ job, reasons }` when an 'ingest' job was queued to make its
+ * mezzanine: a new upload asset (derived from this one) that is the job's result.
+ */
+async function acceptUpload(filename, inspection, { originalName, size }, user) {
+    const name = fixExtension(filename, inspection);
+    const media = inspection.media ? basicsOf(inspection.media) : null;
+    const upload = await finishUpload(name, { originalName, size, media }, user);
+    const { reasons } = inspection;
+    if (reasons.length === 0) return { upload };
+
+    const outputFilename = `${uuidv4()}.${inspection.video ? 'mp4' : 'm4a'}`;
+    const outputPath = path.join(UPLOADS_DIR, outputFilename);
+    // A dot file until finished, so retention and asset lookups never see it half-written
+    const partPath = path.join(UPLOADS_DIR, `.${outputFilename}.part`);
+    console.log(`📥 ${upload.assetId} needs a mezzanine (${reasons.join(', ')})`);
+
+    const job = enqueueJob('ingest', async (job) => {
+        await writeMezzanine(path.join(UPLOADS_DIR, name), partPath, inspection, job);
+        fs.renameSync(partPath, outputPath);
+        const mezzanine = await finishUpload(outputFilename, {
+            originalName,
+            size: fs.statSync(outputPath).size,
+            parents: [upload.assetId],
+            operation: 'mezzanine'
+        }, user);
+        console.log(`  📥 Mezzanine complete: ${outputFilename}`);
+        return { ...mezzanine, sourceAssetId: upload.assetId, normalized: reasons, message: `Normalized for editing (${reasons.join(', ')})` };
+    }, { assets: [upload.assetId] });
+    return { upload, job, reasons };
+}
+
+// Upload response for acceptUpload()'s result; send it with 202 when a mezzanine job was queued
+function ingestResponse({ upload, job, reasons }) {
+    if (!job) return upload;
+    return {
+        ...upload,
+        mezzanine: {
+            reasons,
+            jobId: job.id,
+            statusUrl: `/api/jobs/${job.id}`,
+            eventsUrl: `/api/jobs/${job.id}/events`,
+            message: 'An edit-friendly copy is being made; use the assetId from the job result for editing'
+        }
+    };
+}
+
+module.exports = {
+    inspectUpload,
+    discardUpload,
+    acceptUpload,
+    ingestResponse
+};
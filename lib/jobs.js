@@ -0,0 +1,334 @@
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { openCollection } = require('./store');
+const { getAssetRecord, deleteAsset, assetOwner } = require('./assets');
+const { ownsRecord } = require('./access');
+const { maxConcurrentJobs, maxPriorityJobs, jobTimeoutMs, priorityJobTimeoutMs } = require('../config/jobs');
+
+// ─── Job Queue: MAX_CONCURRENT_JOBS FFmpeg jobs at once (see config/jobs.js) ───
+let activeJobs = 0;
+// Plus slots only high-priority jobs (previews) may use, so they never wait behind a long render
+let activePriorityJobs = 0;
+// Kept in priority order (previews before operations before full renders), FIFO within a level
+const PRIORITIES = ['high', 'normal', 'low'];
+const jobQueue = [];
+
+// Live jobs by id; finished jobs are kept for a while so clients can follow them to the end
+const jobs = new Map();
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000; // forget finished jobs after 1 hour
+
+// Job history (everything but the live parts) survives restarts
+const jobStore = openCollection('jobs');
+const JOB_HISTORY_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const TERMINAL_STATES = ['completed', 'failed', 'cancelled'];
+
+function isFinished(job) {
+    return TERMINAL_STATES.includes(job.state);
+}
+
+// Progress is left out: it changes far too often to write to disk and means nothing after a restart
+function persistJob(job) {
+    jobStore.set({
+        id: job.id,
+        type: job.type,
+        priority: job.priority,
+        owner: job.owner,
+        assets: job.assets,
+        state: job.state,
+        percent: isFinished(job) ? job.percent : 0,
+        result: job.result,
+        error: job.error,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt
+    });
+}
+
+// A job function is a closure over its request, so an interrupted job can't be picked up
+// again after a restart: mark it failed so clients polling it get an answer
+function failInterruptedJobs() {
+    const now = new Date().toISOString();
+    let interrupted = 0;
+    for (const record of jobStore.values()) {
+        if (isFinished(record)) continue;
+        jobStore.update(record.id, { state: 'failed', error: 'Interrupted by a server restart', finishedAt: now });
+        interrupted++;
+    }
+    if (interrupted > 0) console.log(`⚙️ Marked ${interrupted} interrupted job(s) as failed`);
+}
+
+function pruneJobHistory() {
+    const cutoff = Date.now() - JOB_HISTORY_TTL_MS;
+    for (const record of jobStore.values()) {
+        if (isFinished(record) && Date.parse(record.finishedAt) < cutoff) jobStore.delete(record.id);
+    }
+}
+
+failInterruptedJobs();
+pruneJobHistory();
+setInterval(pruneJobHistory, FINISHED_JOB_TTL_MS).unref();
+
+// Public view of a job (what GET /api/jobs/:id returns)
+function serializeJob(job) {
+    const position = jobQueue.indexOf(job);
+    return {
+        id: job.id,
+        type: job.type,
+        priority: job.priority,
+        state: job.state,
+        position: position === -1 ? null : position + 1,
+        percent: job.percent,
+        filename: job.result ? job.result.filename : null,
+        result: job.result,
+        error: job.error,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt
+    };
+}
+
+function setProgress(job, percent) {
+    if (isFinished(job) || typeof percent !== 'number' || !isFinite(percent)) return;
+    const clamped = Math.max(0, Math.min(100, Math.round(percent)));
+    if (clamped === job.percent) return;
+    job.percent = clamped;
+    job.events.emit('progress', serializeJob(job));
+}
+
+function finishJob(job, state, result, error) {
+    job.state = state;
+    job.result = result || null;
+    job.error = error || null;
+    if (state === 'completed') job.percent = 100;
+    job.finishedAt = new Date().toISOString();
+    persistJob(job);
+    job.events.emit('done', serializeJob(job));
+    job.events.removeAllListeners();
+    setTimeout(() => jobs.delete(job.id), FINISHED_JOB_TTL_MS).unref();
+}
+
+// Queued jobs move up a slot every time one starts; let their listeners know
+function notifyQueuePositions() {
+    jobQueue.forEach(j => j.events.emit('state', serializeJob(j)));
+}
+
+// Start queued jobs while a slot is free for them
+function startQueued() {
+    let started = false;
+    while (jobQueue.length > 0) {
+        if (activeJobs < maxConcurrentJobs) {
+            jobQueue.shift().run('main');
+        } else if (jobQueue[0].priority === 'high' && activePriorityJobs < maxPriorityJobs) {
+            jobQueue.shift().run('priority');
+        } else {
+            break;
+        }
+        started = true;
+    }
+    if (started) notifyQueuePositions();
+}
+
+// Delete the output asset a job result names (`assetId`), if any
+function discardOutput(result) {
+    if (!result || !result.assetId) return;
+    try {
+        deleteAsset(getAssetRecord({ id: result.assetId }));
+    } catch (e) {
+        console.warn(`Could not delete ${result.assetId}:`, e.message);
+    }
+}
+
+// Kill a running job's FFmpeg processes; it then fails and finishes as `state` with `reason`
+function stopJob(job, state, reason) {
+    if (job.stopped) return;
+    job.stopped = { state, reason };
+    job.commands.forEach(command => command.kill('SIGKILL'));
+}
+
+/**
+ * Queue an FFmpeg job and return its job record immediately.
+ * `jobFn(job)` must return a promise resolving to `{ filename, message }`;
+ * it may call `job.progress(percent)` from its fluent-ffmpeg 'progress' handler,
+ * and must pass every FFmpeg command it creates through `job.track(command)` so
+ * the job can be cancelled or timed out (the command's 'error' handler then
+ * deletes the partial output as usual).
+ * `priority` is 'high' (short jobs such as previews: they jump the queue and may
+ * run in a reserved slot next to a normal job), 'normal' or 'low' (full renders).
+ * `assets` are the IDs of the assets the job reads; they are kept on disk until it
+ * finishes, and the job belongs to the owner of the first one.
+ * `timeoutMs` overrides the configured wall-clock limit.
+ */
+function enqueueJob(type, jobFn, { priority = 'normal', assets = [], timeoutMs } = {}) {
+    if (!PRIORITIES.includes(priority)) throw new Error(`Unknown job priority: ${priority}`);
+    const job = {
+        id: uuidv4(),
+        type,
+        priority,
+        owner: assets.length > 0 ? assetOwner(assets[0]) : null,
+        assets,
+        state: 'queued',
+        percent: 0,
+        result: null,
+        error: null,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        events: new EventEmitter(),
+        commands: new Set(),
+        stopped: null,
+        timeoutMs: timeoutMs || (priority === 'high' ? priorityJobTimeoutMs : jobTimeoutMs)
+    };
+    job.progress = (percent) => setProgress(job, percent);
+    job.track = (command) => {
+        if (job.stopped) throw new Error(job.stopped.reason);
+        job.commands.add(command);
+        const untrack = () => job.commands.delete(command);
+        command.on('start', () => {
+            // Stopped between creating the command and running it
+            if (job.stopped) command.kill('SIGKILL');
+        }).on('end', untrack).on('error', untrack);
+        return command;
+    };
+    jobs.set(job.id, job);
+    persistJob(job);
+
+    // `slot` is 'main' or 'priority' (see config/jobs.js)
+    const run = (slot) => {
+        if (slot === 'priority') activePriorityJobs++;
+        else activeJobs++;
+        job.state = 'running';
+        job.startedAt = new Date().toISOString();
+        persistJob(job);
+        job.events.emit('state', serializeJob(job));
+        console.log(`⚙️ Job ${job.id} (${type}) started (active: ${activeJobs + activePriorityJobs})`);
+        const timer = setTimeout(() => {
+            console.warn(`⚙️ Job ${job.id} (${type}) timed out after ${Math.round(job.timeoutMs / 1000)}s`);
+            stopJob(job, 'failed', `Timed out after ${Math.round(job.timeoutMs / 1000)}s`);
+        }, job.timeoutMs);
+        Promise.resolve()
+            .then(() => jobFn(job))
+            .then(result => {
+                if (!job.stopped) return finishJob(job, 'completed', result);
+                // Stopped after its last FFmpeg command had exited (while registering the
+                // output, say): it still ends as cancelled or timed out, without the output
+                discardOutput(result);
+                finishJob(job, job.stopped.state, null, job.stopped.reason);
+            })
+            .catch(err => {
+                if (job.stopped) finishJob(job, job.stopped.state, null, job.stopped.reason);
+                else finishJob(job, 'failed', null, err.message || String(err));
+            })
+            .finally(() => {
+                clearTimeout(timer);
+                if (slot === 'priority') activePriorityJobs--;
+                else activeJobs--;
+                console.log(`⚙️ Job ${job.id} ${job.state} (active: ${activeJobs + activePriorityJobs}, queued: ${jobQueue.length})`);
+                startQueued();
+            });
+    };
+    job.run = run;
+
+    const rank = PRIORITIES.indexOf(priority);
+    const firstLower = jobQueue.findIndex(j => PRIORITIES.indexOf(j.priority) > rank);
+    jobQueue.splice(firstLower === -1 ? jobQueue.length : firstLower, 0, job);
+    startQueued();
+    if (job.state === 'queued') {
+        console.log(`⏳ Job ${job.id} (${type}) queued (queue size: ${jobQueue.length})`);
+        // Jumping the queue moves everyone behind it down a slot
+        if (firstLower !== -1) notifyQueuePositions();
+    }
+    return job;
+}
+
+/**
+ * Cancel a job: a queued one is taken off the queue, a running one has its FFmpeg
+ * processes killed (it finishes as 'cancelled' once they have exited).
+ * Returns false if the job had already finished.
+ */
+function cancelJob(job, reason = 'Cancelled') {
+    if (isFinished(job) || !jobs.has(job.id)) return false;
+    if (job.state === 'queued') {
+        jobQueue.splice(jobQueue.indexOf(job), 1);
+        finishJob(job, 'cancelled', null, reason);
+        console.log(`⚙️ Job ${job.id} (${job.type}) cancelled while queued`);
+        notifyQueuePositions();
+    } else {
+        console.log(`⚙️ Cancelling running job ${job.id} (${job.type})`);
+        stopJob(job, 'cancelled', reason);
+    }
+    return true;
+}
+
+// Queue and slot usage plus how the last hour's jobs went (GET /api/queue); only `user`'s jobs are listed
+function queueStats(user) {
+    const hourAgo = Date.now() - FINISHED_JOB_TTL_MS;
+    const recent = jobStore.values().filter(r => isFinished(r) && Date.parse(r.finishedAt) >= hourAgo);
+    const completed = recent.filter(r => r.state === 'completed' && r.startedAt);
+    const runSeconds = completed.map(r => (Date.parse(r.finishedAt) - Date.parse(r.startedAt)) / 1000);
+    const running = [...jobs.values()].filter(j => j.state === 'running');
+    return {
+        slots: {
+            main: { active: activeJobs, max: maxConcurrentJobs },
+            priority: { active: activePriorityJobs, max: maxPriorityJobs }
+        },
+        queued: Object.fromEntries(PRIORITIES.map(p => [p, jobQueue.filter(j => j.priority === p).length])),
+        lastHour: {
+            ...Object.fromEntries(TERMINAL_STATES.map(state => [state, recent.filter(r => r.state === state).length])),
+            averageRunSeconds: runSeconds.length
+                ? Math.round(runSeconds.reduce((a, b) => a + b, 0) / runSeconds.length * 10) / 10
+                : null
+        },
+        jobs: [...running, ...jobQueue].filter(j => ownsRecord(j, user)).map(serializeJob)
+    };
+}
+
+// A live job, or the stored record of an older one (no events; always finished)
+function getJob(id) {
+    return jobs.get(id) || jobStore.get(id);
+}
+
+// IDs of the assets queued and running jobs still need
+function assetsInUse() {
+    const ids = new Set();
+    for (const job of jobs.values()) {
+        if (!isFinished(job)) job.assets.forEach(id => ids.add(id));
+    }
+    return ids;
+}
+
+// Promise for a job's result; rejects with its error if it fails
+function jobResult(job) {
+    if (isFinished(job)) {
+        return job.state === 'completed' ? Promise.resolve(job.result) : Promise.reject(new Error(job.error));
+    }
+    return new Promise((resolve, reject) => {
+        job.events.once('done', (status) => {
+            if (status.state === 'completed') resolve(status.result);
+            else reject(new Error(status.error));
+        });
+    });
+}
+
+// Standard 202 response for a freshly queued job
+function jobAccepted(res, job) {
+    res.status(202).json({
+        success: true,
+        jobId: job.id,
+        status: serializeJob(job),
+        statusUrl: `/api/jobs/${job.id}`,
+        eventsUrl: `/api/jobs/${job.id}/events`
+    });
+}
+
+module.exports = {
+    enqueueJob,
+    getJob,
+    cancelJob,
+    queueStats,
+    serializeJob,
+    isFinished,
+    assetsInUse,
+    jobResult,
+    jobAccepted
+};
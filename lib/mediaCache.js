@@ -0,0 +1,54 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { enqueueJob } = require('./jobs');
+
+// Derived media (posters, sprites, waveforms) keyed by asset + parameters
+const CACHE_DIR = path.join(__dirname, '..', 'cache');
+if (!fs.existsSync(CACHE_DIR)) fs.mkdirSync(CACHE_DIR, { recursive: true });
+
+// Generations currently queued or running, so repeated requests share one job
+const inFlight = new Map();
+
+/**
+ * Cache path for a derived file. The key includes the asset's size and mtime,
+ * so a replaced file never serves a stale thumbnail.
+ */
+function cachePath(asset, kind, params, ext) {
+    const stat = fs.statSync(asset.path);
+    const key = JSON.stringify([asset.id, stat.size, stat.mtimeMs, kind, params]);
+    const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 20);
+    return path.join(CACHE_DIR, `${kind}_${hash}.${ext}`);
+}
+
+// Temporary sibling to write into; renamed into place once complete
+function tempPath(finalPath) {
+    return path.join(CACHE_DIR, `tmp_${process.pid}_${path.basename(finalPath)}`);
+}
+
+function commitTemp(tmp, finalPath) {
+    fs.renameSync(tmp, finalPath);
+}
+
+/**
+ * Queue `generate(job)` for `finalPath` unless the same file is already being generated.
+ * Returns the job either way. `options` are passed on to enqueueJob.
+ */
+function generateOnce(finalPath, type, generate, options) {
+    const existing = inFlight.get(finalPath);
+    if (existing) return existing;
+
+    const job = enqueueJob(type, generate, options);
+    inFlight.set(finalPath, job);
+    // Every final state (including a cancel while still queued) frees the slot
+    job.events.once('done', () => inFlight.delete(finalPath));
+    return job;
+}
+
+module.exports = {
+    CACHE_DIR,
+    cachePath,
+    tempPath,
+    commitTemp,
+    generateOnce
+};
@@ -0,0 +1,109 @@
+const path = require('path');
+
+// ─── Overlay compositing (watermarks, logos, picture-in-picture) ───
+
+// Still images are looped for the length of the main video; anything else is treated as video
+const STILL_IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'webp'];
+
+// Position presets as overlay x/y expressions; M is replaced by the margin in pixels
+const OVERLAY_POSITIONS = {
+    'top-left': ['M', 'M'],
+    'top-right': ['main_w-overlay_w-M', 'M'],
+    'bottom-left': ['M', 'main_h-overlay_h-M'],
+    'bottom-right': ['main_w-overlay_w-M', 'main_h-overlay_h-M'],
+    center: ['(main_w-overlay_w)/2', '(main_h-overlay_h)/2']
+};
+const DEFAULT_POSITION = 'bottom-right';
+const DEFAULT_MARGIN = 20;
+
+// x/y expressions may use the overlay filter's variables and arithmetic, nothing that could break the graph
+const EXPRESSION_PATTERN = /^[\w\s.+\-*/()]{1,100}$/;
+
+function isStillImage(filename) {
+    return STILL_IMAGE_EXTENSIONS.includes(path.extname(filename).slice(1).toLowerCase());
+}
+
+function isNonNegative(value) {
+    return typeof value === 'number' && isFinite(value) && value >= 0;
+}
+
+/**
+ * Validate overlay options from a request body. Returns an array of error
+ * messages (empty when valid).
+ */
+function validateOverlay(options) {
+    const errors = [];
+    const { position, x, y, margin, width, scale, opacity, startTime, endTime, fadeIn, fadeOut } = options;
+
+    if (position !== undefined && !Object.prototype.hasOwnProperty.call(OVERLAY_POSITIONS, position)) {
+        errors.push(`position must be one of: ${Object.keys(OVERLAY_POSITIONS).join(', ')}`);
+    }
+    if ((x === undefined) !== (y === undefined)) errors.push('x and y must be given together');
+    for (const [name, value] of [['x', x], ['y', y]]) {
+        if (value !== undefined && !EXPRESSION_PATTERN.test(String(value))) errors.push(`${name} is not a valid position expression`);
+    }
+    if (margin !== undefined && !isNonNegative(margin)) errors.push('margin must be a non-negative number');
+    if (width !== undefined && scale !== undefined) errors.push('Give either width or scale, not both');
+    if (width !== undefined && !(Number.isInteger(width) && width >= 2 && width <= 3840)) errors.push('width must be an integer between 2 and 3840');
+    if (scale !== undefined && !(typeof scale === 'number' && scale > 0 && scale <= 1)) errors.push('scale must be a fraction of the video width (0-1]');
+    if (opacity !== undefined && !(typeof opacity === 'number' && opacity >= 0 && opacity <= 1)) errors.push('opacity must be between 0 and 1');
+    for (const [name, value] of [['startTime', startTime], ['endTime', endTime], ['fadeIn', fadeIn], ['fadeOut', fadeOut]]) {
+        if (value !== undefined && !isNonNegative(value)) errors.push(`${name} must be a non-negative number of seconds`);
+    }
+    if (isNonNegative(startTime) && isNonNegative(endTime) && endTime <= startTime) errors.push('endTime must be after startTime');
+    return errors;
+}
+
+/**
+ * Filter graph that composites input 1 (the overlay) onto input 0 and labels the result
+ * `[comp]`. Durations come from probing both inputs; still images must be added with
+ * `-loop 1` so they last as long as the main video.
+ */
+function buildOverlayGraph(options, { still, mainDuration, overlayDuration }) {
+    const start = options.startTime || 0;
+    // When the overlay stops: explicit end, end of the overlay clip, or end of the main video
+    const clipEnd = still ? mainDuration : Math.min(mainDuration, start + overlayDuration);
+    const end = options.endTime !== undefined ? Math.min(options.endTime, clipEnd) : clipEnd;
+
+    const filters = [];
+    let source = '[1:v]format=rgba';
+    let base = '[0:v]';
+
+    if (options.scale !== undefined) {
+        // Size relative to the main video; height follows the overlay's own aspect ratio
+        filters.push(`${source}[ovr_src]`);
+        filters.push(`[ovr_src][0:v]scale2ref=w='main_w*${options.scale}':h='ow/dar'[ovr_scaled][base]`);
+        source = '[ovr_scaled]null';
+        base = '[base]';
+    } else if (options.width !== undefined) {
+        source += `,scale=${options.width}:-1`;
+    }
+
+    // A video overlay starts playing at startTime instead of being consumed from t=0
+    if (!still && start > 0) source += `,setpts=PTS-STARTPTS+${start}/TB`;
+    if (options.opacity !== undefined && options.opacity < 1) source += `,colorchannelmixer=aa=${options.opacity}`;
+    if (options.fadeIn) source += `,fade=t=in:st=${start}:d=${options.fadeIn}:alpha=1`;
+    if (options.fadeOut) source += `,fade=t=out:st=${Math.max(start, end - options.fadeOut)}:d=${options.fadeOut}:alpha=1`;
+    filters.push(`${source}[ovr]`);
+
+    const margin = options.margin !== undefined ? options.margin : DEFAULT_MARGIN;
+    const [x, y] = options.x !== undefined
+        ? [options.x, options.y]
+        : OVERLAY_POSITIONS[options.position || DEFAULT_POSITION].map(expr => expr.replace(/M/g, String(margin)));
+
+    // Stills loop forever, so stop with the main video; a shorter clip just disappears when it ends
+    let overlay = `${base}[ovr]overlay=x='${x}':y='${y}':format=auto:eof_action=${still ? 'repeat:shortest=1' : 'pass'}`;
+    if (options.startTime !== undefined || options.endTime !== undefined) {
+        overlay += `:enable='between(t,${start},${end})'`;
+    }
+    filters.push(`${overlay}[comp]`);
+    return filters;
+}
+
+module.exports = {
+    OVERLAY_POSITIONS,
+    EXPRESSION_PATTERN,
+    isStillImage,
+    validateOverlay,
+    buildOverlayGraph
+};
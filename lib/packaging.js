@@ -0,0 +1,232 @@
+const path = require('path');
+const fs = require('fs');
+const ffmpeg = require('fluent-ffmpeg');
+const { openCollection } = require('./store');
+const { RENDITIONS, defaultRenditions, segmentSeconds, threads } = require('../config/packaging');
+const { packageTtlMs } = require('../config/retention');
+
+// ─── HLS/DASH packages: packages/<id>/ holds the manifests and segments of one asset ───
+// HLS only:  master.m3u8 plus v<N>/index.m3u8 and v<N>/segment_NNN.ts per rendition
+// With DASH: manifest.mpd and master.m3u8 over one shared set of fMP4 segments
+const PACKAGES_DIR = path.join(__dirname, '..', 'packages');
+const PACKAGE_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+// Files inside a package: one optional rendition directory, no dot files
+const PACKAGE_FILE_PATTERN = /^(v\d{1,2}\/)?[A-Za-z0-9_-][A-Za-z0-9_.-]*$/;
+const PACKAGE_FORMATS = ['hls', 'dash'];
+const MANIFESTS = { hls: 'master.m3u8', dash: 'manifest.mpd' };
+
+if (!fs.existsSync(PACKAGES_DIR)) fs.mkdirSync(PACKAGES_DIR, { recursive: true });
+
+// Finished packages; a package being written has a directory but no record yet
+const packages = openCollection('packages');
+const writing = new Set();
+
+// Playing a package pushes its expiry back; record that at most once a minute
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+function packageDir(id) {
+    return path.join(PACKAGES_DIR, id);
+}
+
+function getPackage(id) {
+    return PACKAGE_ID_PATTERN.test(String(id)) ? packages.get(id) : null;
+}
+
+// Absolute path of `file` (e.g. 'v0/index.m3u8') inside a package, or null if it isn't a package file
+function packageFilePath(pkg, file) {
+    if (!PACKAGE_FILE_PATTERN.test(file)) return null;
+    return path.join(packageDir(pkg.id), file);
+}
+
+/**
+ * Check the `{ formats, renditions }` of a packaging request.
+ * Returns an array of error messages (empty when valid).
+ */
+function validatePackageRequest({ formats, renditions }) {
+    const errors = [];
+    if (formats !== undefined) {
+        if (!Array.isArray(formats) || formats.length === 0 || !formats.includes('hls')) {
+            errors.push("formats must be an array containing 'hls' (and optionally 'dash')");
+        } else if (formats.some(f => !PACKAGE_FORMATS.includes(f))) {
+            errors.push(`formats may only contain: ${PACKAGE_FORMATS.join(', ')}`);
+        }
+    }
+    if (renditions !== undefined) {
+        if (!Array.isArray(renditions) || renditions.length === 0) {
+            errors.push('renditions must be a non-empty array');
+        } else {
+            const unknown = renditions.filter(r => !Object.prototype.hasOwnProperty.call(RENDITIONS, r));
+            if (unknown.length > 0) errors.push(`unknown rendition(s): ${unknown.join(', ')} (available: ${Object.keys(RENDITIONS).join(', ')})`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * The renditions to encode for a source `sourceHeight` pixels tall, tallest first.
+ * Renditions taller than the source are skipped; if that leaves none, the smallest
+ * requested one is made at the source height instead.
+ */
+function fitRenditions(names = defaultRenditions, sourceHeight) {
+    const requested = [...new Set(names)]
+        .map(name => ({ name, ...RENDITIONS[name] }))
+        .sort((a, b) => b.height - a.height);
+    const fitting = requested.filter(r => r.height <= sourceHeight);
+    if (fitting.length > 0) return fitting;
+    const smallest = requested[requested.length - 1];
+    return [{ ...smallest, name: 'source', height: Math.max(2, sourceHeight - (sourceHeight % 2)) }];
+}
+
+// Encoder options for rendition `i`: H.264 with keyframes on segment boundaries, so players can switch
+function renditionOptions(rendition, i) {
+    const kbps = rendition.videoBitrate;
+    return [
+        `-c:v:${i}`, 'libx264', `-b:v:${i}`, `${kbps}k`,
+        `-maxrate:v:${i}`, `${Math.round(kbps * 1.07)}k`, `-bufsize:v:${i}`, `${Math.round(kbps * 1.5)}k`
+    ];
+}
+
+/**
+ * Encode and segment `inputPath` into packages/<id>/ (see the layout above).
+ * `renditions` come from fitRenditions(); `formats` is ['hls'] or ['hls', 'dash'].
+ * The directory is removed again if FFmpeg fails.
+ */
+function writePackage(id, inputPath, { renditions, formats, hasAudio }, job) {
+    const dir = packageDir(id);
+    const dash = formats.includes('dash');
+    writing.add(id);
+    fs.mkdirSync(dir, { recursive: true });
+    if (!dash) renditions.forEach((r, i) => fs.mkdirSync(path.join(dir, `v${i}`), { recursive: true }));
+
+    const split = renditions.length > 1
+        ? [`[0:v]split=${renditions.length}${renditions.map((r, i) => `[s${i}]`).join('')}`]
+        : [];
+    const filters = [...split, ...renditions.map((r, i) =>
+        `${renditions.length > 1 ? `[s${i}]` : '[0:v]'}scale=-2:${r.height},setsar=1[v${i}]`)];
+
+    const options = [];
+    renditions.forEach((r, i) => options.push('-map', `[v${i}]`, ...renditionOptions(r, i)));
+    options.push('-preset', 'veryfast', '-pix_fmt', 'yuv420p', '-sc_threshold', '0',
+        '-force_key_frames', `expr:gte(t,n_forced*${segmentSeconds})`, '-threads', String(threads));
+
+    let output;
+    if (dash) {
+        // One audio stream shared by every rendition; master.m3u8 is written next to the MPD
+        if (hasAudio) options.push('-map', '0:a:0', '-c:a', 'aac', '-ac', '2', '-b:a', `${renditions[0].audioBitrate}k`);
+        options.push('-f', 'dash', '-seg_duration', String(segmentSeconds), '-use_template', '1', '-use_timeline', '1',
+            '-adaptation_sets', hasAudio ? 'id=0,streams=v id=1,streams=a' : 'id=0,streams=v',
+            '-init_seg_name', 'init-$RepresentationID$.m4s', '-media_seg_name', 'chunk-$RepresentationID$-$Number%05d$.m4s',
+            '-hls_playlist', '1');
+        output = path.join(dir, MANIFESTS.dash);
+    } else {
+        // Each rendition carries its own copy of the audio at its own bitrate
+        if (hasAudio) {
+            renditions.forEach((r, i) => options.push('-map', '0:a:0', `-c:a:${i}`, 'aac', `-b:a:${i}`, `${r.audioBitrate}k`));
+            options.push('-ac', '2');
+        }
+        options.push('-f', 'hls', '-hls_time', String(segmentSeconds), '-hls_playlist_type', 'vod',
+            '-hls_flags', 'independent_segments', '-hls_segment_filename', path.join(dir, 'v%v', 'segment_%03d.ts'),
+            '-master_pl_name', MANIFESTS.hls,
+            '-var_stream_map', renditions.map((r, i) => hasAudio ? `v:${i},a:${i}` : `v:${i}`).join(' '));
+        output = path.join(dir, 'v%v', 'index.m3u8');
+    }
+
+    return new Promise((resolve, reject) => {
+        job.track(ffmpeg(inputPath))
+            .complexFilter(filters.join(';'))
+            .outputOptions(options)
+            .output(output)
+            .on('start', (commandLine) => {
+                console.log('  📺 FFmpeg command:', commandLine);
+            })
+            .on('progress', (progress) => {
+                if (progress.percent) console.log(`  📺 Packaging progress: ${Math.round(progress.percent)}%`);
+                job.progress(progress.percent);
+            })
+            .on('end', () => resolve())
+            .on('error', (err) => {
+                console.error('Packaging error:', err.message);
+                fs.rmSync(dir, { recursive: true, force: true });
+                reject(new Error(`Failed to package video: ${err.message}`));
+            })
+            .run();
+    }).finally(() => writing.delete(id));
+}
+
+function expiryFrom(time) {
+    return new Date(time + packageTtlMs).toISOString();
+}
+
+// Record a finished package; `source` is the asset ID it was made from
+function registerPackage({ id, source, owner, formats, renditions }) {
+    const now = Date.now();
+    return packages.set({
+        id,
+        source,
+        owner,
+        formats,
+        renditions: renditions.map(({ name, height, videoBitrate, audioBitrate }) => ({ name, height, videoBitrate, audioBitrate })),
+        manifests: Object.fromEntries(formats.map(f => [f, MANIFESTS[f]])),
+        createdAt: new Date(now).toISOString(),
+        lastAccessedAt: new Date(now).toISOString(),
+        expiresAt: expiryFrom(now)
+    });
+}
+
+function touchPackage(pkg) {
+    const now = Date.now();
+    if (now - Date.parse(pkg.lastAccessedAt) < TOUCH_INTERVAL_MS) return;
+    packages.update(pkg.id, { lastAccessedAt: new Date(now).toISOString(), expiresAt: expiryFrom(now) });
+}
+
+/**
+ * Point every URI in a manifest at `query` as well, so a signed URL's scope covers the
+ * playlists and segments it references. `type` is 'm3u8' or 'mpd'.
+ */
+function withQuery(manifest, type, query) {
+    const append = (uri) => `${uri}${uri.includes('?') ? '&' : '?'}${query}`;
+    if (type === 'mpd') {
+        return manifest.replace(/\b(initialization|media)="([^"]*)"/g,
+            (match, attr, uri) => `${attr}="${append(uri).replace(/&(?!amp;)/g, '&amp;')}"`);
+    }
+    return manifest.split('\n').map(line => {
+        if (line && !line.startsWith('#')) return append(line.trim());
+        return line.replace(/URI="([^"]*)"/g, (match, uri) => `URI="${append(uri)}"`);
+    }).join('\n');
+}
+
+/**
+ * Delete expired packages, records whose directory has gone, and directories left
+ * without a record (an interrupted job). Returns the number of packages removed.
+ */
+function sweepExpiredPackages(now = Date.now()) {
+    let removed = 0;
+    for (const pkg of packages.values()) {
+        const dir = packageDir(pkg.id);
+        if (Date.parse(pkg.expiresAt) <= now || !fs.existsSync(dir)) {
+            fs.rmSync(dir, { recursive: true, force: true });
+            packages.delete(pkg.id);
+            removed++;
+        }
+    }
+    for (const id of fs.readdirSync(PACKAGES_DIR)) {
+        if (!PACKAGE_ID_PATTERN.test(id) || writing.has(id) || packages.get(id)) continue;
+        fs.rmSync(packageDir(id), { recursive: true, force: true });
+        removed++;
+    }
+    return removed;
+}
+
+module.exports = {
+    PACKAGES_DIR,
+    MANIFESTS,
+    getPackage,
+    packageFilePath,
+    validatePackageRequest,
+    fitRenditions,
+    writePackage,
+    registerPackage,
+    touchPackage,
+    withQuery,
+    sweepExpiredPackages
+};
@@ -0,0 +1,151 @@
+const { compileFilterStack, fadeInFilter, fadeOutFilter, volumeFilter } = require('./filters');
+const { validateTextLayer, compileTextLayer } = require('./textLayers');
+const { parseTimeRange } = require('./timing');
+
+// ─── Edit pipeline: ordered steps compiled into a single FFmpeg pass ───
+//
+// Supported steps (trim may only appear once, as the first step):
+//   { type: 'trim', startTime, endTime }
+//   { type: 'filter', filter: 'sepia' }  (or filter: { name, ...params }, or filters: [...] to stack)
+//   { type: 'text', text, fontSize, fontColor, x, y, startTime, endTime, ... }  (any text layer field, see lib/textLayers.js)
+//   { type: 'audio', operation: 'fadeIn' | 'fadeOut' | 'volume' | 'mute', volume, fadeDuration }
+
+const MAX_PIPELINE_STEPS = 20;
+const PIPELINE_AUDIO_OPERATIONS = ['fadeIn', 'fadeOut', 'volume', 'mute'];
+
+function isNumeric(value) {
+    return value !== undefined && value !== null && value !== '' && isFinite(Number(value));
+}
+
+// An audio step's fade length; undefined falls back to the default in lib/filters.js
+function fadeSeconds(step) {
+    return step.fadeDuration !== undefined ? Number(step.fadeDuration) : undefined;
+}
+
+// A filter step's stack: `filters` as given, or its single `filter`
+function stepFilterStack(step) {
+    return step.filters !== undefined ? step.filters : [step.filter];
+}
+
+function validateStep(step, index, user) {
+    const errors = [];
+    const where = `steps[${index}]`;
+
+    if (!step || typeof step !== 'object') return [`${where}: must be an object`];
+
+    switch (step.type) {
+        case 'trim':
+            if (index !== 0) errors.push(`${where}: trim must be the first step`);
+            if (step.startTime !== undefined && (!isNumeric(step.startTime) || Number(step.startTime) < 0)) {
+                errors.push(`${where}: startTime must be a non-negative number`);
+            }
+            if (step.endTime !== undefined && (!isNumeric(step.endTime) || Number(step.endTime) <= (Number(step.startTime) || 0))) {
+                errors.push(`${where}: endTime must be a number greater than startTime`);
+            }
+            break;
+        case 'filter': {
+            const compiled = compileFilterStack(stepFilterStack(step), { user });
+            if (compiled.errors) errors.push(...compiled.errors.map(e => `${where}: ${e}`));
+            break;
+        }
+        case 'text':
+            errors.push(...validateTextLayer(step, where, user));
+            break;
+        case 'audio':
+            if (!PIPELINE_AUDIO_OPERATIONS.includes(step.operation)) {
+                errors.push(`${where}: unknown audio operation '${step.operation}'`);
+            }
+            if (step.operation === 'volume' && step.volume !== undefined && (!isNumeric(step.volume) || Number(step.volume) < 0)) {
+                errors.push(`${where}: volume must be a non-negative number`);
+            }
+            if (step.fadeDuration !== undefined && (!isNumeric(step.fadeDuration) || Number(step.fadeDuration) <= 0)) {
+                errors.push(`${where}: fadeDuration must be a positive number of seconds`);
+            }
+            break;
+        default:
+            errors.push(`${where}: unknown step type '${step.type}'`);
+    }
+    return errors;
+}
+
+/**
+ * Check a list of pipeline steps before anything is queued. `user` is the caller,
+ * whose LUTs and fonts the steps may use.
+ * Returns an array of human-readable errors (empty when the pipeline is valid).
+ */
+function validatePipeline(steps, user) {
+    if (!Array.isArray(steps) || steps.length === 0) return ['steps must be a non-empty array'];
+    if (steps.length > MAX_PIPELINE_STEPS) return [`at most ${MAX_PIPELINE_STEPS} steps are allowed`];
+
+    const errors = [];
+    steps.forEach((step, i) => errors.push(...validateStep(step, i, user)));
+
+    const audioSteps = steps.filter(s => s && s.type === 'audio');
+    if (audioSteps.some(s => s.operation === 'mute') && audioSteps.length > 1) {
+        errors.push('mute cannot be combined with other audio steps');
+    }
+    return errors;
+}
+
+/**
+ * Compile validated steps into the pieces of one FFmpeg command:
+ * an input seek/duration, a -vf chain (plus the LUT and font assets it reads) and an -af chain. Audio fade-outs
+ * depend on the output duration, so `audioFilters(duration)` is resolved
+ * once the job knows it; `needsDuration` tells the caller to probe first.
+ * `user` is the caller, as for validatePipeline().
+ */
+function compilePipeline(steps, user) {
+    const plan = {
+        start: 0,
+        duration: 0,
+        videoFilters: [],
+        assets: [],
+        mute: false,
+        needsDuration: false
+    };
+    const audioSteps = [];
+
+    for (const [index, step] of steps.entries()) {
+        switch (step.type) {
+            case 'trim': {
+                const { start, duration } = parseTimeRange(step);
+                plan.start = start;
+                plan.duration = duration;
+                break;
+            }
+            case 'filter': {
+                // Several filter steps end up in one graph
+                const { filters, lutAssets } = compileFilterStack(stepFilterStack(step), { labelPrefix: `lut${index}_`, user });
+                plan.videoFilters.push(...filters);
+                plan.assets.push(...lutAssets);
+                break;
+            }
+            case 'text': {
+                const { filters, fontAsset } = compileTextLayer(step, user);
+                plan.videoFilters.push(...filters);
+                if (fontAsset) plan.assets.push(fontAsset);
+                break;
+            }
+            case 'audio':
+                if (step.operation === 'mute') plan.mute = true;
+                else audioSteps.push(step);
+                break;
+        }
+    }
+
+    plan.needsDuration = plan.duration === 0 && audioSteps.some(s => s.operation === 'fadeOut');
+    plan.audioFilters = (duration) => audioSteps.map(step => {
+        switch (step.operation) {
+            case 'fadeIn': return fadeInFilter(fadeSeconds(step));
+            case 'fadeOut': return fadeOutFilter(duration, fadeSeconds(step));
+            case 'volume': return volumeFilter(step.volume);
+        }
+    });
+    return plan;
+}
+
+module.exports = {
+    MAX_PIPELINE_STEPS,
+    validatePipeline,
+    compilePipeline
+};
@@ -0,0 +1,80 @@
+const { presets, defaultPreset } = require('../config/presets');
+const { DEFAULT_VIDEO_FORMAT, GIF_PALETTE_FILTER, videoCodecOptions, audioCodecOptions } = require('./formats');
+
+/**
+ * Look up an export preset by name; no name means the configured default.
+ * Returns null for unknown names so routes can answer 400.
+ */
+function getPreset(name) {
+    const key = name === undefined || name === null || name === '' ? defaultPreset : name;
+    if (!Object.prototype.hasOwnProperty.call(presets, key)) return null;
+    return { name: key, ...presets[key] };
+}
+
+function listPresets() {
+    return Object.entries(presets).map(([name, p]) => ({
+        name,
+        label: p.label || name,
+        fit: p.fit,
+        width: p.width || null,
+        height: p.height || null,
+        default: name === defaultPreset
+    }));
+}
+
+// -vf step that brings a single input to the preset's size (null when the source size is kept)
+function presetScaleFilter(preset) {
+    const { width: W, height: H } = preset;
+    switch (preset.fit) {
+        case 'width':
+            return `scale=${W}:-2`;
+        case 'contain':
+            return `scale=w='min(${W},iw)':h='min(${H},ih)':force_original_aspect_ratio=decrease:force_divisible_by=2`;
+        case 'pad':
+            return `scale=${W}:${H}:force_original_aspect_ratio=decrease,pad=${W}:${H}:(ow-iw)/2:(oh-ih)/2,setsar=1`;
+        default:
+            return null;
+    }
+}
+
+// Video filter chain for a single-input operation: its own filters, the preset scale,
+// then the GIF palette pass when the output format needs it
+function presetVideoFilters(preset, filters = [], format = DEFAULT_VIDEO_FORMAT) {
+    const scale = presetScaleFilter(preset);
+    const chain = scale ? [...filters, scale] : [...filters];
+    if (format.videoCodec === 'gif') chain.push(GIF_PALETTE_FILTER);
+    return chain;
+}
+
+// Canvas size for outputs that combine several inputs
+function presetFrame(preset) {
+    if (preset.frame) return preset.frame;
+    if (preset.width && preset.height) return { width: preset.width, height: preset.height };
+    return { width: 1920, height: 1080 };
+}
+
+/**
+ * Encoder output options for a preset and output format (no -vf; pair with presetVideoFilters).
+ * Pass `{ audio: false }` for outputs without an audio stream.
+ */
+function presetOutputOptions(preset, { audio = true, format = DEFAULT_VIDEO_FORMAT } = {}) {
+    const opts = [];
+    if (format.videoCodec) opts.push(...videoCodecOptions(format.videoCodec, preset.video));
+    if (audio && format.audioCodec) {
+        opts.push(...audioCodecOptions(format.audioCodec, preset.audio));
+    } else {
+        opts.push('-an');
+    }
+    if (preset.threads !== undefined) opts.push('-threads', String(preset.threads));
+    if (format.faststart) opts.push('-movflags', '+faststart');
+    return opts;
+}
+
+module.exports = {
+    getPreset,
+    listPresets,
+    presetScaleFilter,
+    presetVideoFilters,
+    presetFrame,
+    presetOutputOptions
+};
@@ -0,0 +1,211 @@
+const ffmpeg = require('fluent-ffmpeg');
+
+// Promise wrapper around ffmpeg.ffprobe
+function probeFile(filePath, options = []) {
+    return new Promise((resolve, reject) => {
+        ffmpeg.ffprobe(filePath, options, (err, metadata) => {
+            if (err) return reject(err);
+            resolve(metadata);
+        });
+    });
+}
+
+// ffprobe errors carry the whole banner; the last line explains the failure (minus the server-side path)
+function probeErrorMessage(err) {
+    const lines = String(err && err.message || err).split('\n').map(l => l.trim()).filter(Boolean);
+    const last = lines[lines.length - 1] || 'Unknown probe error';
+    return last.replace(/^\/.*?:\s+/, '');
+}
+
+// ─── Normalization helpers (ffprobe reports missing values as 'N/A') ───
+function num(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const n = Number(value);
+    return isFinite(n) ? n : null;
+}
+
+function str(value) {
+    if (value === undefined || value === null || value === '' || value === 'N/A' || value === 'unknown') return null;
+    return String(value);
+}
+
+// "30000/1001" -> 29.97; "0/0" (unknown) -> null
+function rate(value) {
+    const text = str(value);
+    if (!text) return null;
+    const [a, b] = text.split('/').map(Number);
+    const n = b === undefined ? a : (b ? a / b : NaN);
+    return isFinite(n) && n > 0 ? Math.round(n * 1000) / 1000 : null;
+}
+
+/**
+ * Clockwise rotation a player applies on display, 0/90/180/270. Older files carry a
+ * `rotate` tag; newer ffprobe reports the display matrix as side data, whose
+ * `rotation` is counter-clockwise (fluent-ffmpeg flattens it onto the stream).
+ */
+function rotationOf(stream) {
+    const tag = stream.tags ? num(stream.tags.rotate) : null;
+    const matrix = num(stream.rotation);
+    const degrees = tag !== null ? tag : (matrix !== null ? -matrix : 0);
+    return ((Math.round(degrees / 90) * 90) % 360 + 360) % 360;
+}
+
+// Chapter tags come through as flat 'TAG:title' keys
+function chapterTags(chapter) {
+    const tags = {};
+    for (const [key, value] of Object.entries(chapter)) {
+        if (key.startsWith('TAG:')) tags[key.slice(4)] = String(value);
+    }
+    return tags;
+}
+
+function isAttachedPicture(stream) {
+    return !!(stream.disposition && Number(stream.disposition.attached_pic));
+}
+
+function normalizeStream(stream) {
+    const tags = stream.tags || {};
+    const disposition = stream.disposition || {};
+    const base = {
+        index: stream.index,
+        type: stream.codec_type,
+        codec: str(stream.codec_name),
+        codecLongName: str(stream.codec_long_name),
+        profile: str(stream.profile),
+        bitRate: num(stream.bit_rate),
+        duration: num(stream.duration),
+        language: str(tags.language),
+        title: str(tags.title),
+        default: !!Number(disposition.default),
+        forced: !!Number(disposition.forced),
+        tags
+    };
+
+    if (stream.codec_type === 'video') {
+        const rotation = rotationOf(stream);
+        const sideways = rotation === 90 || rotation === 270;
+        return {
+            ...base,
+            width: num(stream.width),
+            height: num(stream.height),
+            // Size as shown to the viewer, after applying rotation
+            displayWidth: sideways ? num(stream.height) : num(stream.width),
+            displayHeight: sideways ? num(stream.width) : num(stream.height),
+            rotation,
+            frameRate: rate(stream.avg_frame_rate) || rate(stream.r_frame_rate),
+            nominalFrameRate: rate(stream.r_frame_rate),
+            frames: num(stream.nb_frames),
+            pixelFormat: str(stream.pix_fmt),
+            bitDepth: num(stream.bits_per_raw_sample),
+            sampleAspectRatio: str(stream.sample_aspect_ratio),
+            displayAspectRatio: str(stream.display_aspect_ratio),
+            colorSpace: str(stream.color_space),
+            colorTransfer: str(stream.color_transfer),
+            colorPrimaries: str(stream.color_primaries),
+            colorRange: str(stream.color_range),
+            fieldOrder: str(stream.field_order),
+            attachedPicture: isAttachedPicture(stream)
+        };
+    }
+
+    if (stream.codec_type === 'audio') {
+        return {
+            ...base,
+            sampleRate: num(stream.sample_rate),
+            channels: num(stream.channels),
+            channelLayout: str(stream.channel_layout),
+            sampleFormat: str(stream.sample_fmt),
+            bitDepth: num(stream.bits_per_raw_sample) || num(stream.bits_per_sample)
+        };
+    }
+
+    return base;
+}
+
+/**
+ * Full, normalized metadata for a media file: container, every stream, chapters
+ * and a summary of what the file contains (which operations make sense on it).
+ */
+async function probeMedia(filePath) {
+    const metadata = await probeFile(filePath, ['-show_chapters']);
+    const format = metadata.format || {};
+    const streams = (metadata.streams || []).map(normalizeStream);
+    const chapters = (metadata.chapters || []).map(chapter => {
+        const tags = chapterTags(chapter);
+        return {
+            id: num(chapter.id),
+            start: num(chapter.start_time),
+            end: num(chapter.end_time),
+            title: tags.title || null,
+            tags
+        };
+    });
+
+    // Cover art shows up as a one-frame video stream; it isn't something to edit
+    const video = streams.find(s => s.type === 'video' && !s.attachedPicture);
+    const audio = streams.find(s => s.type === 'audio');
+
+    return {
+        format: {
+            name: str(format.format_name),
+            longName: str(format.format_long_name),
+            duration: num(format.duration),
+            startTime: num(format.start_time),
+            size: num(format.size),
+            bitRate: num(format.bit_rate),
+            streamCount: num(format.nb_streams),
+            tags: format.tags || {}
+        },
+        streams,
+        chapters,
+        summary: {
+            duration: num(format.duration) || (video && video.duration) || (audio && audio.duration) || 0,
+            hasVideo: !!video,
+            hasAudio: !!audio,
+            hasSubtitles: streams.some(s => s.type === 'subtitle'),
+            width: video ? video.displayWidth : null,
+            height: video ? video.displayHeight : null,
+            rotation: video ? video.rotation : 0,
+            frameRate: video ? video.frameRate : null,
+            videoCodec: video ? video.codec : null,
+            audioCodec: audio ? audio.codec : null
+        }
+    };
+}
+
+// Just the facts most operations need: duration, first video size, which stream types exist
+// and the container (ffprobe's format name list, e.g. 'mov,mp4,m4a,3gp,3g2,mj2')
+async function probeBasics(filePath) {
+    const metadata = await probeFile(filePath);
+    const streams = metadata.streams || [];
+    const video = streams.find(s => s.codec_type === 'video' && !isAttachedPicture(s));
+    return {
+        container: (metadata.format && metadata.format.format_name) || null,
+        duration: parseFloat(metadata.format && metadata.format.duration) || 0,
+        width: video ? video.width || 0 : 0,
+        height: video ? video.height || 0 : 0,
+        hasVideo: !!video,
+        hasAudio: streams.some(s => s.codec_type === 'audio')
+    };
+}
+
+// probeBasics() of a file already probed with probeMedia(), without running ffprobe again
+function basicsOf(media) {
+    const video = media.streams.find(s => s.type === 'video' && !s.attachedPicture);
+    return {
+        container: media.format.name,
+        duration: media.summary.duration,
+        width: video ? video.width || 0 : 0,
+        height: video ? video.height || 0 : 0,
+        hasVideo: media.summary.hasVideo,
+        hasAudio: media.summary.hasAudio
+    };
+}
+
+module.exports = {
+    probeFile,
+    probeErrorMessage,
+    probeMedia,
+    probeBasics,
+    basicsOf
+};
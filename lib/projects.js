@@ -0,0 +1,69 @@
+const path = require('path');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const { ownsRecord } = require('./access');
+
+// Timeline projects are stored as one JSON file each: projects/<id>.json
+const PROJECTS_DIR = path.join(__dirname, '..', 'projects');
+const PROJECT_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+if (!fs.existsSync(PROJECTS_DIR)) fs.mkdirSync(PROJECTS_DIR, { recursive: true });
+
+function projectPath(id) {
+    return path.join(PROJECTS_DIR, `${id}.json`);
+}
+
+function getProject(id) {
+    if (!PROJECT_ID_PATTERN.test(id)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(projectPath(id), 'utf8'));
+    } catch (e) {
+        return null;
+    }
+}
+
+// Summaries of the projects `user` may see
+function listProjects(user) {
+    return fs.readdirSync(PROJECTS_DIR)
+        .filter(f => f.endsWith('.json'))
+        .map(f => getProject(path.basename(f, '.json')))
+        .filter(p => p && ownsRecord(p, user))
+        .map(p => ({ id: p.id, name: p.name, createdAt: p.createdAt, updatedAt: p.updatedAt }))
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+// Write to a temp file first so a crash never leaves a half-written project behind
+function writeProject(project) {
+    const target = projectPath(project.id);
+    const tmp = `${target}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(project, null, 2));
+    fs.renameSync(tmp, target);
+    return project;
+}
+
+// `owner` is the API user creating it (null while the API is open)
+function createProject(data, owner) {
+    const now = new Date().toISOString();
+    return writeProject({ ...data, id: uuidv4(), owner, createdAt: now, updatedAt: now });
+}
+
+function updateProject(id, data) {
+    const existing = getProject(id);
+    if (!existing) return null;
+    return writeProject({ ...data, id, owner: existing.owner || null, createdAt: existing.createdAt, updatedAt: new Date().toISOString() });
+}
+
+function deleteProject(id) {
+    if (!getProject(id)) return false;
+    fs.unlinkSync(projectPath(id));
+    return true;
+}
+
+module.exports = {
+    PROJECTS_DIR,
+    getProject,
+    listProjects,
+    createProject,
+    updateProject,
+    deleteProject
+};
@@ -0,0 +1,151 @@
+const path = require('path');
+const fs = require('fs');
+const { assetTtlMs, quotaBytes } = require('../config/retention');
+const { assetsInUse } = require('./jobs');
+const {
+    ASSET_DIRS,
+    assetEvents,
+    assetId,
+    assetPath,
+    listAssets,
+    deleteAsset,
+    forgetAsset
+} = require('./assets');
+
+// ─── Retention: expiry sweep and storage quota for uploads/ and processed/ ───
+// Settings come from config/retention.js. Pinned assets and assets a queued or
+// running job reads are always kept.
+
+// Records of deleted files are dropped after a week
+const DELETED_RECORD_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// Files without a record may still be being written (job outputs are registered
+// when they finish), so leave recently modified ones alone
+const UNRECORDED_GRACE_MS = 60 * 1000;
+
+function mb(bytes) {
+    return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+}
+
+// Every file in the asset directories: `{ id, kind, path, size, mtimeMs }`
+function assetFiles() {
+    const files = [];
+    for (const [kind, dir] of Object.entries(ASSET_DIRS)) {
+        for (const filename of fs.readdirSync(dir)) {
+            if (filename.startsWith('.')) continue;
+            const filePath = path.join(dir, filename);
+            try {
+                const stat = fs.statSync(filePath);
+                if (stat.isFile()) files.push({ id: assetId(kind, filename), kind, path: filePath, size: stat.size, mtimeMs: stat.mtimeMs });
+            } catch (e) { /* ignore individual file errors */ }
+        }
+    }
+    return files;
+}
+
+// Records of assets whose files are still there, by id
+function liveRecords() {
+    return new Map(listAssets().map(r => [r.id, r]));
+}
+
+function removeFile(file, record) {
+    try {
+        if (record) deleteAsset(record);
+        else fs.unlinkSync(file.path);
+        return true;
+    } catch (e) {
+        console.error(`Could not delete ${file.id}:`, e.message);
+        return false;
+    }
+}
+
+/**
+ * Delete expired assets: recorded ones once `expiresAt` has passed, unrecorded files
+ * by modification time. Records whose file has gone are marked deleted. Returns the
+ * number of files removed.
+ */
+function sweepExpiredAssets(now = Date.now()) {
+    const inUse = assetsInUse();
+    const records = liveRecords();
+    let removed = 0;
+
+    for (const record of listAssets({ includeDeleted: true })) {
+        if (record.deletedAt) {
+            if (now - Date.parse(record.deletedAt) > DELETED_RECORD_TTL_MS) forgetAsset(record.id);
+        } else if (!fs.existsSync(assetPath(record))) {
+            deleteAsset(record);
+        }
+    }
+
+    for (const file of assetFiles()) {
+        if (inUse.has(file.id)) continue;
+        const record = records.get(file.id);
+        const expired = record
+            ? record.expiresAt !== null && Date.parse(record.expiresAt) <= now
+            : now - file.mtimeMs > assetTtlMs[file.kind];
+        if (expired && removeFile(file, record)) removed++;
+    }
+    return removed;
+}
+
+// Disk space taken by uploads/ and processed/
+function storageUsage() {
+    const files = assetFiles();
+    const records = liveRecords();
+    return {
+        usedBytes: files.reduce((total, f) => total + f.size, 0),
+        quotaBytes,
+        files: files.length,
+        pinned: files.filter(f => records.has(f.id) && records.get(f.id).pinned).length
+    };
+}
+
+/**
+ * Delete least recently used assets until uploads/ + processed/ fit in the quota.
+ * Returns the number of files removed.
+ */
+function enforceQuota(now = Date.now()) {
+    if (!quotaBytes) return 0;
+    const files = assetFiles();
+    let used = files.reduce((total, f) => total + f.size, 0);
+    if (used <= quotaBytes) return 0;
+
+    const inUse = assetsInUse();
+    const records = liveRecords();
+    const candidates = files
+        .filter(f => !inUse.has(f.id))
+        .map(f => ({ file: f, record: records.get(f.id) }))
+        .filter(({ file, record }) => record ? !record.pinned : now - file.mtimeMs > UNRECORDED_GRACE_MS)
+        .map(c => ({ ...c, lastUsed: c.record ? Date.parse(c.record.lastAccessedAt) || 0 : c.file.mtimeMs }))
+        .sort((a, b) => a.lastUsed - b.lastUsed);
+
+    let removed = 0;
+    for (const { file, record } of candidates) {
+        if (used <= quotaBytes) break;
+        if (removeFile(file, record)) {
+            used -= file.size;
+            removed++;
+        }
+    }
+    if (used > quotaBytes) {
+        console.warn(`⚠️ Storage still over quota (${mb(used)} of ${mb(quotaBytes)}): the rest is pinned or in use`);
+    }
+    return removed;
+}
+
+// Check the quota whenever a file is added; several registrations in one tick share a check
+let quotaCheckPending = false;
+assetEvents.on('registered', () => {
+    if (quotaCheckPending || !quotaBytes) return;
+    quotaCheckPending = true;
+    setImmediate(() => {
+        quotaCheckPending = false;
+        const evicted = enforceQuota();
+        if (evicted > 0) console.log(`🧹 Evicted ${evicted} least recently used file(s) to stay within the storage quota`);
+    });
+});
+
+module.exports = {
+    sweepExpiredAssets,
+    enforceQuota,
+    storageUsage
+};
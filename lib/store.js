@@ -0,0 +1,89 @@
+const path = require('path');
+const fs = require('fs');
+
+// ─── Persistent store: one JSON file per collection, data/<name>.json ───
+// Records are small and there is a single server process, so each collection is
+// kept in memory and written out whole. Changes made in the same tick are saved
+// together, and the temp file + rename means a crash never leaves half a file.
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+
+const collections = [];
+
+function loadRecords(file, name) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        if (e.code === 'ENOENT') return [];
+        // Keep the unreadable file around for inspection instead of overwriting it
+        const aside = `${file}.corrupt-${Date.now()}`;
+        fs.renameSync(file, aside);
+        console.error(`⚠️ Could not read the ${name} store (${e.message}); moved it to ${path.basename(aside)}`);
+        return [];
+    }
+}
+
+/**
+ * Open (or create) the collection `name`. Records are plain JSON objects with an
+ * `id`; store a copy rather than an object with live state attached.
+ */
+function openCollection(name) {
+    const file = path.join(DATA_DIR, `${name}.json`);
+    const records = new Map(loadRecords(file, name).map(r => [r.id, r]));
+    let pending = false;
+
+    const save = () => {
+        pending = false;
+        const tmp = `${file}.${process.pid}.tmp`;
+        try {
+            fs.writeFileSync(tmp, JSON.stringify([...records.values()]));
+            fs.renameSync(tmp, file);
+        } catch (e) {
+            console.error(`⚠️ Could not save the ${name} store:`, e.message);
+        }
+    };
+    const scheduleSave = () => {
+        if (pending) return;
+        pending = true;
+        setImmediate(() => {
+            if (pending) save();
+        });
+    };
+
+    const collection = {
+        get: (id) => records.get(id) || null,
+        values: () => [...records.values()],
+        set(record) {
+            records.set(record.id, record);
+            scheduleSave();
+            return record;
+        },
+        // Merge `changes` into an existing record; null if there is none
+        update(id, changes) {
+            const record = records.get(id);
+            if (!record) return null;
+            Object.assign(record, changes);
+            scheduleSave();
+            return record;
+        },
+        delete(id) {
+            const existed = records.delete(id);
+            if (existed) scheduleSave();
+            return existed;
+        },
+        flush() {
+            if (pending) save();
+        }
+    };
+    collections.push(collection);
+    return collection;
+}
+
+// Write anything still pending when the process exits normally
+process.on('exit', () => collections.forEach(c => c.flush()));
+
+module.exports = {
+    DATA_DIR,
+    openCollection
+};
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+// ─── File streaming: byte ranges (RFC 7233) and conditional requests (RFC 7232) ───
+
+// More ranges than this in one request are answered with the whole file (a client
+// asking for hundreds of tiny ranges is not a video player)
+const MAX_RANGES = 20;
+
+// Files in uploads/ and processed/ never change once written, so size + mtime make a strong validator
+function entityTag(stat) {
+    return `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+}
+
+// If-None-Match uses weak comparison: W/ prefixes are ignored
+function matchesAnyTag(header, etag) {
+    if (header.trim() === '*') return true;
+    return header.split(',').map(t => t.trim().replace(/^W\//, '')).includes(etag);
+}
+
+function notModified(req, etag, mtime) {
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch) return matchesAnyTag(ifNoneMatch, etag);
+    const since = Date.parse(req.headers['if-modified-since']);
+    // HTTP dates have whole seconds
+    return !isNaN(since) && Math.floor(mtime.getTime() / 1000) * 1000 <= since;
+}
+
+// If-Range holds either a strong ETag or the exact Last-Modified date
+function ifRangeMatches(header, etag, mtime) {
+    if (!header) return true;
+    if (header.startsWith('"') || header.startsWith('W/')) return header === etag;
+    return header === mtime.toUTCString();
+}
+
+/**
+ * Parse a Range header against a file of `size` bytes.
+ * Returns null when there is no usable header (serve the whole file), 'unsatisfiable'
+ * when none of the ranges overlap the file, or `[{ start, end }]` (inclusive).
+ */
+function parseRange(header, size) {
+    const match = /^bytes=(.+)$/.exec(header || '');
+    if (!match) return null;
+
+    const specs = match[1].split(',').map(s => s.trim());
+    if (specs.length > MAX_RANGES) return null;
+    const ranges = [];
+    for (const spec of specs) {
+        const parts = /^(\d*)-(\d*)$/.exec(spec);
+        // Syntactically invalid: ignore the whole header
+        if (!parts || (parts[1] === '' && parts[2] === '')) return null;
+        let start, end;
+        if (parts[1] === '') {
+            // Suffix range: the last N bytes
+            const length = Number(parts[2]);
+            if (length === 0) continue;
+            start = Math.max(0, size - length);
+            end = size - 1;
+        } else {
+            start = Number(parts[1]);
+            if (parts[2] !== '' && Number(parts[2]) < start) return null;
+            end = parts[2] === '' ? size - 1 : Math.min(Number(parts[2]), size - 1);
+        }
+        if (start < size) ranges.push({ start, end });
+    }
+    return ranges.length > 0 ? ranges : 'unsatisfiable';
+}
+
+function sendRange(filePath, res, { start, end }, options = {}) {
+    return pipeline(fs.createReadStream(filePath, { start, end }), res, options);
+}
+
+// Several ranges go out as multipart/byteranges, one part per range
+async function sendMultipart(res, filePath, ranges, size, contentType) {
+    const boundary = crypto.randomBytes(16).toString('hex');
+    const heads = ranges.map(({ start, end }) =>
+        `\r\n--${boundary}\r\nContent-Type: ${contentType}\r\nContent-Range: bytes ${start}-${end}/${size}\r\n\r\n`);
+    const tail = `\r\n--${boundary}--\r\n`;
+    const length = ranges.reduce((total, r, i) => total + Buffer.byteLength(heads[i]) + r.end - r.start + 1, Buffer.byteLength(tail));
+
+    res.status(206);
+    res.set('Content-Type', `multipart/byteranges; boundary=${boundary}`);
+    res.set('Content-Length', String(length));
+    for (let i = 0; i < ranges.length; i++) {
+        res.write(heads[i]);
+        await sendRange(filePath, res, ranges[i], { end: false });
+    }
+    res.end(tail);
+}
+
+/**
+ * Send a file, honouring Range, If-Range, If-None-Match and If-Modified-Since.
+ * Works for GET and HEAD (Express routes HEAD to GET handlers).
+ * `contentType` is required; `downloadName` makes it an attachment.
+ */
+async function streamFile(req, res, filePath, { contentType, downloadName } = {}) {
+    let stat;
+    try {
+        stat = fs.statSync(filePath);
+    } catch (e) {
+        return res.status(404).json({ error: 'File not found' });
+    }
+    const etag = entityTag(stat);
+    const size = stat.size;
+
+    res.set('Accept-Ranges', 'bytes');
+    res.set('ETag', etag);
+    res.set('Last-Modified', stat.mtime.toUTCString());
+    if (downloadName) res.attachment(downloadName);
+
+    if (notModified(req, etag, stat.mtime)) return res.status(304).end();
+
+    // Range only applies to GET, and If-Range asks for the whole file when it has changed
+    const ranges = req.method === 'GET' && ifRangeMatches(req.headers['if-range'], etag, stat.mtime)
+        ? parseRange(req.headers.range, size)
+        : null;
+
+    try {
+        if (ranges === 'unsatisfiable') {
+            res.set('Content-Range', `bytes */${size}`);
+            return res.status(416).json({ error: 'Requested range not satisfiable' });
+        }
+        if (ranges && ranges.length > 1) return await sendMultipart(res, filePath, ranges, size, contentType);
+
+        res.set('Content-Type', contentType);
+        if (ranges) {
+            const [range] = ranges;
+            res.status(206);
+            res.set('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+            res.set('Content-Length', String(range.end - range.start + 1));
+            return await sendRange(filePath, res, range);
+        }
+        res.status(200);
+        res.set('Content-Length', String(size));
+        if (req.method === 'HEAD') return res.end();
+        await sendRange(filePath, res, { start: 0, end: Math.max(0, size - 1) });
+    } catch (e) {
+        // Clients abort video requests all the time (seeking); only report real failures
+        if (e.code !== 'ERR_STREAM_PREMATURE_CLOSE') console.error('Streaming error:', e.message);
+        if (!res.headersSent) res.status(500).json({ error: 'Failed to send file' });
+        else res.destroy();
+    }
+}
+
+module.exports = {
+    streamFile
+};
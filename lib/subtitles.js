@@ -0,0 +1,119 @@
+const path = require('path');
+const { escapeFilterPath } = require('./filters');
+
+// ─── Subtitle files ───
+// Uploadable subtitle formats and the FFmpeg encoder that writes each one
+const SUBTITLE_FORMATS = {
+    srt: { extension: 'srt', codec: 'srt' },
+    vtt: { extension: 'vtt', codec: 'webvtt' },
+    ass: { extension: 'ass', codec: 'ass' }
+};
+const SUBTITLE_EXTENSIONS = ['srt', 'vtt', 'ass', 'ssa'];
+
+// Picture-based tracks (Blu-ray, DVD, DVB) can't be turned into text without OCR
+const BITMAP_SUBTITLE_CODECS = ['hdmv_pgs_subtitle', 'dvd_subtitle', 'dvb_subtitle', 'xsub'];
+
+// Containers that can carry a soft subtitle track, and the track codec each one takes
+// (null = pick from the subtitle file: Matroska stores SRT and ASS as-is)
+const MUX_CONTAINERS = {
+    mp4: 'mov_text',
+    m4v: 'mov_text',
+    mov: 'mov_text',
+    webm: 'webvtt',
+    mkv: null
+};
+
+function isSubtitleFile(filename) {
+    return SUBTITLE_EXTENSIONS.includes(path.extname(filename).slice(1).toLowerCase());
+}
+
+// Track codec for muxing `subtitleFilename` into a `container` file; undefined if the container can't hold one
+function muxSubtitleCodec(container, subtitleFilename) {
+    if (!Object.prototype.hasOwnProperty.call(MUX_CONTAINERS, container)) return undefined;
+    if (MUX_CONTAINERS[container]) return MUX_CONTAINERS[container];
+    return /\.(ass|ssa)$/i.test(subtitleFilename) ? 'ass' : 'srt';
+}
+
+// ─── Burn-in styling (libass force_style) ───
+const NAMED_COLORS = {
+    white: 'ffffff',
+    black: '000000',
+    yellow: 'ffff00',
+    red: 'ff0000',
+    green: '00ff00',
+    blue: '0000ff',
+    cyan: '00ffff',
+    magenta: 'ff00ff',
+    gray: '808080',
+    grey: '808080'
+};
+
+// Subtitle position -> ASS numpad alignment
+const POSITIONS = { bottom: 2, middle: 5, top: 8 };
+
+// '#rrggbb' / 'rrggbb' / named colour -> ASS '&HAABBGGRR' (opacity 0..1); null if unrecognised
+function assColor(color, opacity = 1) {
+    const value = String(color).toLowerCase();
+    const hex = NAMED_COLORS[value] || value.replace(/^#|^0x/, '');
+    if (!/^[0-9a-f]{6}$/.test(hex)) return null;
+    const alpha = Math.round((1 - opacity) * 255).toString(16).padStart(2, '0');
+    return `&H${alpha}${hex.slice(4, 6)}${hex.slice(2, 4)}${hex.slice(0, 2)}`.toUpperCase();
+}
+
+/**
+ * Build the `subtitles` filter for burning a subtitle file into video.
+ * `style` fields (all optional): fontName, fontSize, fontColor, outlineColor, outline,
+ * shadow, backgroundColor (draws an opaque box), bold, italic, position (bottom|middle|top), marginV.
+ * Returns `{ filter }` or `{ error }`. For SRT/VTT, font sizes are relative to a 288px-high canvas (libass default).
+ */
+function buildSubtitlesFilter(subtitlePath, style = {}) {
+    const force = [];
+
+    if (style.fontName !== undefined) {
+        if (!/^[\w .-]{1,64}$/.test(String(style.fontName))) return { error: 'style.fontName contains unsupported characters' };
+        force.push(`FontName=${style.fontName}`);
+    }
+    if (style.fontSize !== undefined) {
+        const size = Number(style.fontSize);
+        if (!isFinite(size) || size < 4 || size > 200) return { error: 'style.fontSize must be between 4 and 200' };
+        force.push(`FontSize=${Math.round(size)}`);
+    }
+    const colors = [['fontColor', 'PrimaryColour'], ['outlineColor', 'OutlineColour'], ['backgroundColor', 'BackColour']];
+    for (const [field, key] of colors) {
+        if (style[field] === undefined) continue;
+        const value = assColor(style[field], field === 'backgroundColor' ? 0.6 : 1);
+        if (!value) return { error: `style.${field} must be a hex color or one of: ${Object.keys(NAMED_COLORS).join(', ')}` };
+        force.push(`${key}=${value}`);
+    }
+    // BorderStyle 3 = opaque box behind the text, using BackColour
+    if (style.backgroundColor !== undefined) force.push('BorderStyle=3');
+    for (const [field, key] of [['outline', 'Outline'], ['shadow', 'Shadow']]) {
+        if (style[field] === undefined) continue;
+        const value = Number(style[field]);
+        if (!isFinite(value) || value < 0 || value > 10) return { error: `style.${field} must be between 0 and 10` };
+        force.push(`${key}=${value}`);
+    }
+    if (style.bold !== undefined) force.push(`Bold=${style.bold ? -1 : 0}`);
+    if (style.italic !== undefined) force.push(`Italic=${style.italic ? -1 : 0}`);
+    if (style.position !== undefined) {
+        if (!Object.prototype.hasOwnProperty.call(POSITIONS, style.position)) return { error: `style.position must be one of: ${Object.keys(POSITIONS).join(', ')}` };
+        force.push(`Alignment=${POSITIONS[style.position]}`);
+    }
+    if (style.marginV !== undefined) {
+        const margin = Number(style.marginV);
+        if (!Number.isInteger(margin) || margin < 0 || margin > 500) return { error: 'style.marginV must be an integer between 0 and 500' };
+        force.push(`MarginV=${margin}`);
+    }
+
+    let filter = `subtitles=filename='${escapeFilterPath(subtitlePath)}'`;
+    if (force.length > 0) filter += `:force_style='${force.join(',')}'`;
+    return { filter };
+}
+
+module.exports = {
+    SUBTITLE_FORMATS,
+    BITMAP_SUBTITLE_CODECS,
+    isSubtitleFile,
+    muxSubtitleCodec,
+    buildSubtitlesFilter
+};
@@ -0,0 +1,311 @@
+const path = require('path');
+const { resolveAsset } = require('./assets');
+const { getSystemFont, escapeFilterPath, escapeDrawText } = require('./filters');
+const { EXPRESSION_PATTERN } = require('./overlay');
+const { ffmpegColor } = require('./transform');
+
+// ─── Text layers: timed, styled drawtext layers ───
+//
+// {
+//   text: 'Hello {timecode}',                 // \n breaks lines; see TEXT_TOKENS for live values
+//   font: '<uploaded .ttf/.otf asset>', fontSize: 32, fontColor: '#ffffff', opacity: 1,
+//   position: 'bottom', margin: 20,           // or x / y expressions
+//   wrap: 30, lineSpacing: 4,                 // wrap = max characters per line
+//   box: { color: 'black', opacity: 0.5, padding: 10 },
+//   outline: { color: 'black', width: 2 },
+//   shadow: { color: 'black', opacity: 0.6, x: 2, y: 2 },
+//   startTime: 1, endTime: 5,
+//   animation: { in: 'fade' | 'typewriter' | 'slide-left' | ..., out: 'fade' | 'slide-right' | ..., duration: 0.5 }
+// }
+// box, outline and shadow also accept `true` for the defaults below.
+
+const MAX_TEXT_LAYERS = 10;
+const MAX_TEXT_LENGTH = 500;
+// Typewriter draws one drawtext per revealed character
+const MAX_TYPEWRITER_CHARACTERS = 120;
+const TYPEWRITER_SECONDS_PER_CHARACTER = 0.05;
+const DEFAULT_ANIMATION_SECONDS = 0.5;
+const DEFAULT_MARGIN = 20;
+const FONT_EXTENSIONS = ['.ttf', '.otf'];
+
+const BOX_DEFAULTS = { color: 'black', opacity: 0.5, padding: 10 };
+const OUTLINE_DEFAULTS = { color: 'black', width: 2 };
+const SHADOW_DEFAULTS = { color: 'black', opacity: 0.6, x: 2, y: 2 };
+
+// x / y per preset; M is replaced by the margin
+const TEXT_POSITIONS = {
+    'top-left': ['M', 'M'],
+    top: ['(w-text_w)/2', 'M'],
+    'top-right': ['w-text_w-M', 'M'],
+    left: ['M', '(h-text_h)/2'],
+    center: ['(w-text_w)/2', '(h-text_h)/2'],
+    right: ['w-text_w-M', '(h-text_h)/2'],
+    'bottom-left': ['M', 'h-text_h-M'],
+    bottom: ['(w-text_w)/2', 'h-text_h-M'],
+    'bottom-right': ['w-text_w-M', 'h-text_h-M']
+};
+
+// A slide comes in through (or leaves through) this edge, starting (or ending) just off frame
+const SLIDE_EDGES = {
+    'slide-left': { axis: 'x', offscreen: '-text_w' },
+    'slide-right': { axis: 'x', offscreen: 'w' },
+    'slide-top': { axis: 'y', offscreen: '-text_h' },
+    'slide-bottom': { axis: 'y', offscreen: 'h' }
+};
+const ANIMATIONS_IN = ['fade', 'typewriter', ...Object.keys(SLIDE_EDGES)];
+const ANIMATIONS_OUT = ['fade', ...Object.keys(SLIDE_EDGES)];
+
+// Placeholders expanded by drawtext on every frame. escapeDrawText escapes every '%' (as \%),
+// so raw %{...} expansions from users never run; only these do. Output is escaped for a quoted option.
+const TEXT_TOKENS = {
+    timecode: () => '%{pts\\:hms}',
+    seconds: () => '%{eif\\:t\\:d}',
+    frame: () => '%{n}',
+    date: () => '%{localtime\\:%Y-%m-%d}',
+    counter: ({ start }) => `%{eif\\:t-${start}\\:d}`,
+    countdown: ({ end }) => `%{eif\\:max(0,${end}-t)\\:d}`
+};
+const TOKEN_PATTERN = new RegExp(`\\{(${Object.keys(TEXT_TOKENS).join('|')})\\}`, 'g');
+
+function isFontFile(filename) {
+    return FONT_EXTENSIONS.includes(path.extname(filename).toLowerCase());
+}
+
+function isNumeric(value) {
+    return value !== undefined && value !== null && value !== '' && isFinite(Number(value));
+}
+
+function inRange(value, min, max) {
+    return isNumeric(value) && Number(value) >= min && Number(value) <= max;
+}
+
+// Round computed times so expressions stay readable
+const round = (n) => Number(n.toFixed(3));
+
+// `true` means all defaults; otherwise the given fields over the defaults
+function styleOptions(value, defaults) {
+    if (!value) return null;
+    return value === true ? { ...defaults } : { ...defaults, ...value };
+}
+
+function validateStyle(value, where, fields, errors) {
+    if (value === undefined || value === false || value === true) return;
+    if (typeof value !== 'object' || value === null) {
+        errors.push(`${where} must be true or an object`);
+        return;
+    }
+    if (value.color !== undefined && !ffmpegColor(value.color)) errors.push(`${where}.color must be a hex color or color name`);
+    for (const [field, min, max] of fields) {
+        if (value[field] !== undefined && !inRange(value[field], min, max)) errors.push(`${where}.${field} must be between ${min} and ${max}`);
+    }
+}
+
+// Errors for a single layer; `where` prefixes the messages (e.g. 'layers[0]'), `user` owns the fonts
+function validateTextLayer(layer, where, user) {
+    if (!layer || typeof layer !== 'object') return [`${where}: must be an object`];
+    const errors = [];
+    const { text, font, fontSize, fontColor, opacity, position, x, y, margin, wrap, lineSpacing, startTime, endTime, animation } = layer;
+
+    if (typeof text !== 'string' || !text.trim()) errors.push(`${where}.text is required`);
+    else if (text.length > MAX_TEXT_LENGTH) errors.push(`${where}.text must be at most ${MAX_TEXT_LENGTH} characters`);
+    if (font !== undefined) {
+        const asset = resolveAsset(font, user);
+        if (!asset || !isFontFile(asset.filename)) errors.push(`${where}.font must reference an uploaded .ttf or .otf file`);
+    }
+    if (fontSize !== undefined && !inRange(fontSize, 6, 400)) errors.push(`${where}.fontSize must be between 6 and 400`);
+    if (fontColor !== undefined && !ffmpegColor(fontColor)) errors.push(`${where}.fontColor must be a hex color or color name`);
+    if (opacity !== undefined && !inRange(opacity, 0, 1)) errors.push(`${where}.opacity must be between 0 and 1`);
+    if (position !== undefined && !Object.prototype.hasOwnProperty.call(TEXT_POSITIONS, position)) {
+        errors.push(`${where}.position must be one of: ${Object.keys(TEXT_POSITIONS).join(', ')}`);
+    }
+    for (const [name, value] of [['x', x], ['y', y]]) {
+        if (value !== undefined && !EXPRESSION_PATTERN.test(String(value))) errors.push(`${where}.${name} is not a valid position expression`);
+    }
+    if (margin !== undefined && !inRange(margin, 0, 1000)) errors.push(`${where}.margin must be between 0 and 1000`);
+    if (wrap !== undefined && !(Number.isInteger(wrap) && wrap >= 5 && wrap <= 200)) errors.push(`${where}.wrap must be an integer between 5 and 200`);
+    if (lineSpacing !== undefined && !inRange(lineSpacing, 0, 200)) errors.push(`${where}.lineSpacing must be between 0 and 200`);
+    validateStyle(layer.box, `${where}.box`, [['opacity', 0, 1], ['padding', 0, 200]], errors);
+    validateStyle(layer.outline, `${where}.outline`, [['width', 1, 20]], errors);
+    validateStyle(layer.shadow, `${where}.shadow`, [['opacity', 0, 1], ['x', -50, 50], ['y', -50, 50]], errors);
+
+    if (startTime !== undefined && !inRange(startTime, 0, Infinity)) errors.push(`${where}.startTime must be a non-negative number`);
+    if (endTime !== undefined && !(isNumeric(endTime) && Number(endTime) > (Number(startTime) || 0))) {
+        errors.push(`${where}.endTime must be a number greater than startTime`);
+    }
+    if (endTime === undefined && typeof text === 'string' && text.includes('{countdown}')) {
+        errors.push(`${where}: {countdown} needs an endTime`);
+    }
+
+    if (animation !== undefined) {
+        if (!animation || typeof animation !== 'object') {
+            errors.push(`${where}.animation must be an object`);
+        } else {
+            if (animation.in !== undefined && !ANIMATIONS_IN.includes(animation.in)) errors.push(`${where}.animation.in must be one of: ${ANIMATIONS_IN.join(', ')}`);
+            if (animation.out !== undefined && !ANIMATIONS_OUT.includes(animation.out)) errors.push(`${where}.animation.out must be one of: ${ANIMATIONS_OUT.join(', ')}`);
+            if (animation.out !== undefined && endTime === undefined) errors.push(`${where}.animation.out needs an endTime`);
+            if (animation.duration !== undefined && !inRange(animation.duration, 0.05, 30)) errors.push(`${where}.animation.duration must be between 0.05 and 30 seconds`);
+            if (animation.in === 'typewriter' && typeof text === 'string' && textUnits(text).length > MAX_TYPEWRITER_CHARACTERS) {
+                errors.push(`${where}: typewriter text is limited to ${MAX_TYPEWRITER_CHARACTERS} characters`);
+            }
+        }
+    }
+    return errors;
+}
+
+/**
+ * Validate a list of text layers. Returns an array of error messages (empty when valid).
+ */
+function validateTextLayers(layers, user) {
+    if (!Array.isArray(layers) || layers.length === 0) return ['layers must be a non-empty array'];
+    if (layers.length > MAX_TEXT_LAYERS) return [`at most ${MAX_TEXT_LAYERS} text layers are allowed`];
+    const errors = [];
+    layers.forEach((layer, i) => errors.push(...validateTextLayer(layer, `layers[${i}]`, user)));
+    return errors;
+}
+
+// Greedy word wrap of every line to at most `maxChars` characters (long words are kept whole)
+function wrapText(text, maxChars) {
+    return text.split('\n').map((line) => {
+        const lines = [];
+        let current = '';
+        for (const word of line.split(' ')) {
+            if (current && `${current} ${word}`.length > maxChars) {
+                lines.push(current);
+                current = word;
+            } else {
+                current = current ? `${current} ${word}` : word;
+            }
+        }
+        lines.push(current);
+        return lines.join('\n');
+    }).join('\n');
+}
+
+// Characters, with each placeholder counted as one (so typewriter never splits one)
+function textUnits(text) {
+    return text.split(TOKEN_PATTERN).flatMap((part, i) => (i % 2 === 1 ? [`{${part}}`] : Array.from(part)));
+}
+
+// Escaped drawtext text with placeholders expanded
+function drawTextValue(text, timing) {
+    return escapeDrawText(text).replace(TOKEN_PATTERN, (match, token) => TEXT_TOKENS[token](timing));
+}
+
+function colorWithOpacity(color, opacity) {
+    const value = ffmpegColor(color);
+    return opacity === undefined || Number(opacity) === 1 ? value : `${value}@${opacity}`;
+}
+
+// Position expression for one axis, with slide-in / slide-out moves around it
+function positionExpression(base, axis, { start, end, animation, duration }) {
+    let expr = `(${base})`;
+    const slideIn = SLIDE_EDGES[animation.in];
+    if (slideIn && slideIn.axis === axis) {
+        const edge = slideIn.offscreen;
+        expr = `if(lt(t,${round(start + duration)}),${edge}+(${expr}-(${edge}))*(t-${start})/${duration},${expr})`;
+    }
+    const slideOut = SLIDE_EDGES[animation.out];
+    if (slideOut && slideOut.axis === axis) {
+        const edge = slideOut.offscreen;
+        const from = round(end - duration);
+        expr = `if(gt(t,${from}),${expr}+((${edge})-${expr})*(t-${from})/${duration},${expr})`;
+    }
+    return expr;
+}
+
+function alphaExpression(opacity, { start, end, animation, duration }) {
+    const factors = [];
+    if (opacity !== undefined && Number(opacity) < 1) factors.push(String(Number(opacity)));
+    if (animation.in === 'fade') factors.push(`min(1,max(0,(t-${start})/${duration}))`);
+    if (animation.out === 'fade') factors.push(`min(1,max(0,(${end}-t)/${duration}))`);
+    return factors.length > 0 ? factors.join('*') : null;
+}
+
+function enableExpression(from, to) {
+    if (to === null) return from > 0 ? `gte(t,${from})` : null;
+    return `between(t,${from},${to})`;
+}
+
+/**
+ * Compile one validated layer into drawtext filters (several for typewriter).
+ * Returns `{ filters, fontAsset }`.
+ */
+function compileTextLayer(layer, user) {
+    const start = Number(layer.startTime) || 0;
+    const end = layer.endTime !== undefined ? Number(layer.endTime) : null;
+    const animation = layer.animation || {};
+    const text = layer.wrap ? wrapText(layer.text, layer.wrap) : layer.text;
+    const units = textUnits(text);
+    const duration = animation.duration !== undefined
+        ? Number(animation.duration)
+        : (animation.in === 'typewriter' ? round(units.length * TYPEWRITER_SECONDS_PER_CHARACTER) : DEFAULT_ANIMATION_SECONDS);
+    const timing = { start, end, animation, duration };
+
+    const fontAsset = layer.font !== undefined ? resolveAsset(layer.font, user) : null;
+    const fontFile = fontAsset ? escapeFilterPath(fontAsset.path) : getSystemFont();
+
+    const margin = layer.margin !== undefined ? Number(layer.margin) : DEFAULT_MARGIN;
+    const [baseX, baseY] = layer.x !== undefined || layer.y !== undefined
+        ? [layer.x !== undefined ? layer.x : TEXT_POSITIONS.center[0], layer.y !== undefined ? layer.y : TEXT_POSITIONS.center[1]]
+        : TEXT_POSITIONS[layer.position || 'center'].map(expr => expr.replace(/M/g, String(margin)));
+
+    // Everything but the text itself and when it is shown
+    const style = [];
+    if (fontFile) style.push(`fontfile='${fontFile}'`);
+    style.push(`fontsize=${layer.fontSize !== undefined ? Number(layer.fontSize) : 32}`);
+    style.push(`fontcolor=${ffmpegColor(layer.fontColor || 'white')}`);
+    if (layer.lineSpacing !== undefined) style.push(`line_spacing=${Number(layer.lineSpacing)}`);
+    const box = styleOptions(layer.box, BOX_DEFAULTS);
+    if (box) style.push('box=1', `boxcolor=${colorWithOpacity(box.color, box.opacity)}`, `boxborderw=${Number(box.padding)}`);
+    const outline = styleOptions(layer.outline, OUTLINE_DEFAULTS);
+    if (outline) style.push(`borderw=${Number(outline.width)}`, `bordercolor=${ffmpegColor(outline.color)}`);
+    const shadow = styleOptions(layer.shadow, SHADOW_DEFAULTS);
+    if (shadow) style.push(`shadowx=${Number(shadow.x)}`, `shadowy=${Number(shadow.y)}`, `shadowcolor=${colorWithOpacity(shadow.color, shadow.opacity)}`);
+    style.push(`x='${positionExpression(baseX, 'x', timing)}'`, `y='${positionExpression(baseY, 'y', timing)}'`);
+    const alpha = alphaExpression(layer.opacity, timing);
+    if (alpha) style.push(`alpha='${alpha}'`);
+
+    const drawText = (value, enable) => `drawtext=${[...style, `text='${drawTextValue(value, timing)}'`,
+        ...(enable ? [`enable='${enable}'`] : [])].join(':')}`;
+
+    if (animation.in !== 'typewriter') {
+        return { filters: [drawText(text, enableExpression(start, end))], fontAsset };
+    }
+    // Typewriter: one filter per prefix, each shown until the next character appears
+    // (half-open ranges, so two prefixes are never drawn on the same frame)
+    const step = duration / units.length;
+    const filters = units.map((unit, i) => {
+        const from = round(start + i * step);
+        const prefix = units.slice(0, i + 1).join('');
+        if (i === units.length - 1) return drawText(prefix, enableExpression(from, end));
+        return drawText(prefix, `gte(t,${from})*lt(t,${round(start + (i + 1) * step)})`);
+    });
+    return { filters, fontAsset };
+}
+
+/**
+ * Validate and compile text layers into -vf filters. Returns `{ filters, fontAssets }`
+ * (the uploaded fonts the filters read) or `{ errors }`. `user` is the caller.
+ */
+function compileTextLayers(layers, user) {
+    const errors = validateTextLayers(layers, user);
+    if (errors.length > 0) return { errors };
+
+    const filters = [];
+    const fontAssets = [];
+    for (const layer of layers) {
+        const compiled = compileTextLayer(layer, user);
+        filters.push(...compiled.filters);
+        if (compiled.fontAsset && !fontAssets.some(a => a.id === compiled.fontAsset.id)) fontAssets.push(compiled.fontAsset);
+    }
+    return { filters, fontAssets };
+}
+
+module.exports = {
+    TEXT_POSITIONS,
+    isFontFile,
+    validateTextLayer,
+    validateTextLayers,
+    compileTextLayer,
+    compileTextLayers
+};
@@ -0,0 +1,197 @@
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs');
+const { tempPath, commitTemp } = require('./mediaCache');
+const { safeDelete } = require('./ffmpeg');
+const { videoCodecOptions } = require('./formats');
+
+// Run a fluent-ffmpeg command into a temp file and move it into the cache when done
+function runToCache(cmd, finalPath, label, job) {
+    if (job) job.track(cmd);
+    const tmp = tempPath(finalPath);
+    return new Promise((resolve, reject) => {
+        cmd.output(tmp)
+            .on('progress', (progress) => {
+                if (job && progress.percent) job.progress(progress.percent);
+            })
+            .on('end', () => {
+                try {
+                    commitTemp(tmp, finalPath);
+                    console.log(`  🖼️ ${label} ready: ${finalPath}`);
+                    resolve();
+                } catch (e) {
+                    safeDelete(tmp);
+                    reject(e);
+                }
+            })
+            .on('error', (err) => {
+                console.error(`${label} error:`, err.message);
+                safeDelete(tmp);
+                reject(new Error(`Failed to generate ${label.toLowerCase()}: ${err.message}`));
+            })
+            .run();
+    });
+}
+
+// ─── Poster frame ───
+function generatePoster(inputPath, finalPath, { time, width }, job) {
+    const cmd = ffmpeg(inputPath)
+        .inputOptions(['-ss', String(time)])
+        .videoFilters(`scale=${width}:-2`)
+        .outputOptions(['-frames:v', '1', '-q:v', '3']);
+    return runToCache(cmd, finalPath, 'Poster', job);
+}
+
+// ─── Effect preview: one frame, or a short low-res clip ───
+// -copyts keeps source timestamps in the filters, so a drawtext `enable=between(t,...)`
+// behaves exactly as in the full render.
+function generatePreview(inputPath, finalPath, { time, width, filters, clip, duration }, job) {
+    const chain = [...filters, `scale=${width}:-2`];
+    const cmd = ffmpeg(inputPath).inputOptions(['-ss', String(time), '-copyts']);
+    if (clip) {
+        cmd.inputOptions(['-t', String(duration)])
+            .videoFilters([...chain, 'setpts=PTS-STARTPTS'])
+            .outputOptions([...videoCodecOptions('h264', { crf: 30, preset: 'ultrafast' }), '-an', '-movflags', '+faststart']);
+    } else {
+        cmd.videoFilters(chain).outputOptions(['-frames:v', '1', '-q:v', '3']);
+    }
+    return runToCache(cmd, finalPath, 'Preview', job);
+}
+
+// ─── Filmstrip sprite + WebVTT thumbnail track ───
+function spriteLayout({ count, columns, width }, media) {
+    const cols = Math.min(columns, count);
+    const rows = Math.ceil(count / cols);
+    const aspect = media.width && media.height ? media.height / media.width : 9 / 16;
+    const height = Math.max(2, Math.round((width * aspect) / 2) * 2);
+    return { cols, rows, width, height };
+}
+
+function formatVttTime(seconds) {
+    const ms = Math.round(seconds * 1000);
+    const h = String(Math.floor(ms / 3600000)).padStart(2, '0');
+    const m = String(Math.floor(ms / 60000) % 60).padStart(2, '0');
+    const s = String(Math.floor(ms / 1000) % 60).padStart(2, '0');
+    return `${h}:${m}:${s}.${String(ms % 1000).padStart(3, '0')}`;
+}
+
+function buildThumbnailVtt(spriteUrl, count, duration, layout) {
+    const lines = ['WEBVTT', ''];
+    const step = duration / count;
+    for (let i = 0; i < count; i++) {
+        const x = (i % layout.cols) * layout.width;
+        const y = Math.floor(i / layout.cols) * layout.height;
+        lines.push(`${formatVttTime(i * step)} --> ${formatVttTime((i + 1) * step)}`);
+        lines.push(`${spriteUrl}#xywh=${x},${y},${layout.width},${layout.height}`);
+        lines.push('');
+    }
+    return lines.join('\n');
+}
+
+// Point every cue of a thumbnail track at `spriteUrl` (a signed URL, say), keeping its #xywh
+function withSpriteUrl(vtt, spriteUrl) {
+    return vtt.replace(/^[^\n]*(?=#xywh=)/gm, () => spriteUrl);
+}
+
+async function generateSprite(inputPath, spritePath, vttPath, params, media, spriteUrl, job) {
+    const layout = spriteLayout(params, media);
+    // One frame every duration/count seconds, tiled into a single image
+    const rate = (params.count / media.duration).toFixed(6);
+    const cmd = ffmpeg(inputPath)
+        .videoFilters([`fps=${rate}`, `scale=${layout.width}:${layout.height}`, `tile=${layout.cols}x${layout.rows}`])
+        .outputOptions(['-frames:v', '1', '-q:v', '5']);
+    await runToCache(cmd, spritePath, 'Sprite', job);
+
+    const tmp = tempPath(vttPath);
+    fs.writeFileSync(tmp, buildThumbnailVtt(spriteUrl, params.count, media.duration, layout));
+    commitTemp(tmp, vttPath);
+}
+
+// ─── Waveform image ───
+function generateWaveformImage(inputPath, finalPath, { width, height, color }, job) {
+    const cmd = ffmpeg(inputPath)
+        .complexFilter(`[0:a]aformat=channel_layouts=mono,showwavespic=s=${width}x${height}:colors=${color}[wave]`, ['wave'])
+        .outputOptions(['-frames:v', '1']);
+    return runToCache(cmd, finalPath, 'Waveform', job);
+}
+
+// ─── Waveform peaks (audiowaveform-compatible JSON, 8-bit min/max pairs) ───
+const PEAKS_SAMPLE_RATE = 8000; // plenty for display, keeps decoding cheap
+
+function generateWaveformPeaks(inputPath, finalPath, { points }, media, job) {
+    const totalSamples = Math.max(1, Math.ceil(media.duration * PEAKS_SAMPLE_RATE));
+    const samplesPerPixel = Math.max(1, Math.ceil(totalSamples / points));
+    const data = [];
+    let min = 0;
+    let max = 0;
+    let inBucket = 0;
+    let seen = 0;
+    let leftover = null;
+
+    const flush = () => {
+        data.push(Math.max(-128, Math.round(min / 256)), Math.min(127, Math.round(max / 256)));
+        min = 0;
+        max = 0;
+        inBucket = 0;
+    };
+
+    return new Promise((resolve, reject) => {
+        let failed = false;
+        const command = ffmpeg(inputPath)
+            .noVideo()
+            .audioChannels(1)
+            .audioFrequency(PEAKS_SAMPLE_RATE)
+            .format('s16le')
+            .on('error', (err) => {
+                failed = true;
+                console.error('Waveform peaks error:', err.message);
+                reject(new Error(`Failed to generate waveform data: ${err.message}`));
+            });
+        if (job) job.track(command);
+        const stream = command.pipe();
+
+        stream.on('data', (chunk) => {
+            let buf = leftover ? Buffer.concat([leftover, chunk]) : chunk;
+            const usable = buf.length - (buf.length % 2);
+            for (let i = 0; i < usable; i += 2) {
+                const v = buf.readInt16LE(i);
+                if (v < min) min = v;
+                if (v > max) max = v;
+                if (++inBucket === samplesPerPixel) flush();
+            }
+            seen += usable / 2;
+            leftover = usable < buf.length ? buf.subarray(usable) : null;
+            if (job) job.progress((seen / totalSamples) * 100);
+        });
+
+        stream.on('end', () => {
+            if (failed) return;
+            if (inBucket > 0) flush();
+            const json = {
+                version: 2,
+                channels: 1,
+                sample_rate: PEAKS_SAMPLE_RATE,
+                samples_per_pixel: samplesPerPixel,
+                bits: 8,
+                length: data.length / 2,
+                data
+            };
+            try {
+                const tmp = tempPath(finalPath);
+                fs.writeFileSync(tmp, JSON.stringify(json));
+                commitTemp(tmp, finalPath);
+                resolve();
+            } catch (e) {
+                reject(e);
+            }
+        });
+    });
+}
+
+module.exports = {
+    generatePoster,
+    generatePreview,
+    generateSprite,
+    generateWaveformImage,
+    generateWaveformPeaks,
+    withSpriteUrl
+};
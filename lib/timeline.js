@@ -0,0 +1,285 @@
+const { EXPRESSION_PATTERN } = require('./overlay');
+const { validateTextLayer, compileTextLayer } = require('./textLayers');
+
+// ─── Timeline projects ───
+//
+// {
+//   name: 'My edit',
+//   settings: { width: 854, height: 480, fps: 24 },
+//   videoTracks: [
+//     // Track 0 is the main sequence: clips play back to back. A clip's
+//     // `transition` blends it in from the previous clip (xfade/acrossfade).
+//     { clips: [ { asset, in, out, transition: { type: 'crossfade', duration: 1 } } ] },
+//     // Higher tracks are overlays placed at `start` on the timeline (their audio is dropped)
+//     { clips: [ { asset, in, out, start, x, y, width } ] }
+//   ],
+//   audioTrack: { clips: [ { asset, in, out, start, volume } ] },
+//   // Any text layer of lib/textLayers.js (font, box, animation, ...), timed by start / end
+//   textLayers: [ { text, start, end, fontSize, fontColor, position, x, y } ]
+// }
+
+const DEFAULT_SETTINGS = { width: 854, height: 480, fps: 24 };
+const MAX_VIDEO_TRACKS = 4;
+const MAX_TIMELINE_CLIPS = 10; // every clip is a separate decoder, keep memory bounded
+const MAX_TEXT_LAYERS = 20;
+
+// Friendly names plus the xfade transitions we allow through as-is
+const TRANSITION_ALIASES = { crossfade: 'fade', wipe: 'wipeleft', slide: 'slideleft' };
+const XFADE_TRANSITIONS = [
+    'fade', 'fadeblack', 'fadewhite', 'dissolve',
+    'wipeleft', 'wiperight', 'wipeup', 'wipedown',
+    'slideleft', 'slideright', 'slideup', 'slidedown',
+    'circleopen', 'circleclose', 'radial', 'pixelize'
+];
+
+const AUDIO_FORMAT = 'aformat=sample_fmts=fltp:sample_rates=44100:channel_layouts=stereo';
+
+function isNumber(value) {
+    return typeof value === 'number' && isFinite(value);
+}
+
+function transitionName(type) {
+    return TRANSITION_ALIASES[type] || type;
+}
+
+function clipDuration(clip) {
+    return clip.out - clip.in;
+}
+
+function validateClip(clip, where, errors) {
+    if (!clip || typeof clip !== 'object') {
+        errors.push(`${where}: must be an object`);
+        return false;
+    }
+    if (typeof clip.asset !== 'string' || !clip.asset) errors.push(`${where}.asset is required`);
+    if (!isNumber(clip.in) || clip.in < 0) errors.push(`${where}.in must be a non-negative number`);
+    if (!isNumber(clip.out) || clip.out <= clip.in) errors.push(`${where}.out must be greater than in`);
+    return true;
+}
+
+// textLayers.js times a layer with startTime / endTime
+function textLayerOptions(layer) {
+    if (!layer || typeof layer !== 'object') return layer;
+    const { start, end, ...options } = layer;
+    return { ...options, startTime: start, endTime: end };
+}
+
+// x / y end up inside the filter graph, so only plain arithmetic expressions get through
+function validatePosition(item, where, errors) {
+    for (const name of ['x', 'y']) {
+        const value = item[name];
+        if (value !== undefined && !((isNumber(value) || typeof value === 'string') && EXPRESSION_PATTERN.test(String(value)))) {
+            errors.push(`${where}.${name} is not a valid position expression`);
+        }
+    }
+}
+
+/**
+ * Validate a project body sent to POST/PUT /api/projects.
+ * Returns an array of errors (empty when valid). Clip assets are checked at render time;
+ * text layer fonts are resolved for `user` here.
+ */
+function validateProject(project, user) {
+    const errors = [];
+    if (!project || typeof project !== 'object') return ['project must be an object'];
+    if (project.name !== undefined && typeof project.name !== 'string') errors.push('name must be a string');
+
+    const settings = project.settings || {};
+    for (const key of ['width', 'height']) {
+        const v = settings[key];
+        if (v !== undefined && (!Number.isInteger(v) || v < 16 || v > 1920 || v % 2 !== 0)) {
+            errors.push(`settings.${key} must be an even integer between 16 and 1920`);
+        }
+    }
+    if (settings.fps !== undefined && (!isNumber(settings.fps) || settings.fps < 1 || settings.fps > 60)) {
+        errors.push('settings.fps must be between 1 and 60');
+    }
+
+    const tracks = project.videoTracks;
+    if (!Array.isArray(tracks) || tracks.length === 0) {
+        errors.push('videoTracks must be a non-empty array');
+        return errors;
+    }
+    if (tracks.length > MAX_VIDEO_TRACKS) errors.push(`at most ${MAX_VIDEO_TRACKS} video tracks are allowed`);
+
+    let clipCount = 0;
+    tracks.forEach((track, t) => {
+        const clips = track && track.clips;
+        if (!Array.isArray(clips) || (t === 0 && clips.length === 0)) {
+            errors.push(`videoTracks[${t}].clips must be ${t === 0 ? 'a non-empty' : 'an'} array`);
+            return;
+        }
+        clipCount += clips.length;
+        clips.forEach((clip, c) => {
+            const where = `videoTracks[${t}].clips[${c}]`;
+            if (!validateClip(clip, where, errors)) return;
+
+            if (t > 0) {
+                if (!isNumber(clip.start) || clip.start < 0) errors.push(`${where}.start must be a non-negative number`);
+                if (clip.width !== undefined && (!Number.isInteger(clip.width) || clip.width < 16)) {
+                    errors.push(`${where}.width must be an integer of at least 16`);
+                }
+                validatePosition(clip, where, errors);
+                if (clip.transition) errors.push(`${where}: transitions are only supported on the main track`);
+                return;
+            }
+
+            if (!clip.transition) return;
+            if (c === 0) {
+                errors.push(`${where}: the first clip cannot have a transition`);
+                return;
+            }
+            const { type, duration } = clip.transition;
+            if (!XFADE_TRANSITIONS.includes(transitionName(type))) {
+                errors.push(`${where}.transition.type '${type}' is not supported`);
+            }
+            const prev = clips[c - 1];
+            if (!isNumber(duration) || duration <= 0 ||
+                duration >= clipDuration(clip) || (prev && duration >= clipDuration(prev))) {
+                errors.push(`${where}.transition.duration must be positive and shorter than both clips`);
+            }
+        });
+    });
+
+    const audioClips = project.audioTrack ? project.audioTrack.clips : [];
+    if (!Array.isArray(audioClips)) {
+        errors.push('audioTrack.clips must be an array');
+    } else {
+        clipCount += audioClips.length;
+        audioClips.forEach((clip, c) => {
+            const where = `audioTrack.clips[${c}]`;
+            if (!validateClip(clip, where, errors)) return;
+            if (clip.start !== undefined && (!isNumber(clip.start) || clip.start < 0)) errors.push(`${where}.start must be a non-negative number`);
+            if (clip.volume !== undefined && (!isNumber(clip.volume) || clip.volume < 0 || clip.volume > 4)) {
+                errors.push(`${where}.volume must be between 0 and 4`);
+            }
+        });
+    }
+    if (clipCount > MAX_TIMELINE_CLIPS) errors.push(`at most ${MAX_TIMELINE_CLIPS} clips are allowed per project`);
+
+    const layers = project.textLayers || [];
+    if (!Array.isArray(layers)) {
+        errors.push('textLayers must be an array');
+    } else {
+        if (layers.length > MAX_TEXT_LAYERS) errors.push(`at most ${MAX_TEXT_LAYERS} text layers are allowed`);
+        layers.forEach((layer, i) => {
+            const where = `textLayers[${i}]`;
+            if (layer && typeof layer === 'object' &&
+                !(isNumber(layer.start) && layer.start >= 0 && isNumber(layer.end) && layer.end > layer.start)) {
+                errors.push(`${where}: start and end must be numbers with end > start`);
+                return;
+            }
+            errors.push(...validateTextLayer(textLayerOptions(layer), where, user));
+        });
+    }
+    return errors;
+}
+
+// Every asset ID a project references: clips in timeline order, then fonts
+function projectAssetIds(project) {
+    const ids = [];
+    project.videoTracks.forEach(track => track.clips.forEach(c => ids.push(c.asset)));
+    ((project.audioTrack && project.audioTrack.clips) || []).forEach(c => ids.push(c.asset));
+    (project.textLayers || []).forEach(layer => {
+        if (layer.font !== undefined) ids.push(layer.font);
+    });
+    return ids;
+}
+
+/**
+ * Compile a validated project into a complexFilter graph.
+ * `media` maps each asset ID to `{ path, hasAudio }`; `user` is the caller, for fonts.
+ * Returns `{ inputs, filters, outputs, duration }`; every clip gets its own input.
+ */
+function compileTimeline(project, media, user) {
+    const settings = { ...DEFAULT_SETTINGS, ...(project.settings || {}) };
+    const { width: W, height: H, fps } = settings;
+    const inputs = [];
+    const filters = [];
+
+    const addInput = (assetId) => {
+        inputs.push(media[assetId].path);
+        return inputs.length - 1;
+    };
+    const fitFrame = `scale=${W}:${H}:force_original_aspect_ratio=decrease,pad=${W}:${H}:(ow-iw)/2:(oh-ih)/2,setsar=1`;
+
+    // 1. Main track: normalize every clip, then join with xfade/acrossfade or concat
+    const mainClips = project.videoTracks[0].clips;
+    let videoLabel = null;
+    let audioLabel = null;
+    let duration = 0;
+
+    mainClips.forEach((clip, i) => {
+        const k = addInput(clip.asset);
+        const dur = clipDuration(clip);
+        filters.push(`[${k}:v]trim=start=${clip.in}:end=${clip.out},setpts=PTS-STARTPTS,${fitFrame},fps=${fps},format=yuv420p[mv${i}]`);
+        if (media[clip.asset].hasAudio) {
+            filters.push(`[${k}:a]atrim=start=${clip.in}:end=${clip.out},asetpts=PTS-STARTPTS,${AUDIO_FORMAT}[ma${i}]`);
+        } else {
+            // Silent clips still need an audio segment so transitions and concat line up
+            filters.push(`anullsrc=channel_layout=stereo:sample_rate=44100,atrim=duration=${dur},${AUDIO_FORMAT}[ma${i}]`);
+        }
+
+        if (i === 0) {
+            videoLabel = `mv${i}`;
+            audioLabel = `ma${i}`;
+            duration = dur;
+            return;
+        }
+
+        if (clip.transition) {
+            const d = clip.transition.duration;
+            const offset = duration - d;
+            filters.push(`[${videoLabel}][mv${i}]xfade=transition=${transitionName(clip.transition.type)}:duration=${d}:offset=${offset}[xv${i}]`);
+            filters.push(`[${audioLabel}][ma${i}]acrossfade=d=${d}[xa${i}]`);
+            duration += dur - d;
+        } else {
+            filters.push(`[${videoLabel}][${audioLabel}][mv${i}][ma${i}]concat=n=2:v=1:a=1[xv${i}][xa${i}]`);
+            duration += dur;
+        }
+        videoLabel = `xv${i}`;
+        audioLabel = `xa${i}`;
+    });
+
+    // 2. Overlay tracks, composited in track order on top of the main sequence
+    project.videoTracks.slice(1).forEach((track, t) => {
+        track.clips.forEach((clip, c) => {
+            const k = addInput(clip.asset);
+            const label = `o${t}_${c}`;
+            const end = clip.start + clipDuration(clip);
+            const fit = clip.width ? `scale=${clip.width}:-2,setsar=1` : fitFrame;
+            filters.push(`[${k}:v]trim=start=${clip.in}:end=${clip.out},setpts=PTS-STARTPTS+${clip.start}/TB,${fit},format=yuva420p[${label}]`);
+            filters.push(`[${videoLabel}][${label}]overlay=x=${clip.x || 0}:y=${clip.y || 0}:enable='between(t,${clip.start},${end})':eof_action=pass[c${label}]`);
+            videoLabel = `c${label}`;
+        });
+    });
+
+    // 3. Text layers on top of everything
+    const textFilters = (project.textLayers || []).flatMap(layer => compileTextLayer(textLayerOptions(layer), user).filters);
+    filters.push(`[${videoLabel}]${textFilters.length > 0 ? textFilters.join(',') : 'null'}[vout]`);
+
+    // 4. Audio track mixed under the main sequence audio
+    const audioClips = (project.audioTrack && project.audioTrack.clips) || [];
+    const mixLabels = [`[${audioLabel}]`];
+    audioClips.forEach((clip, j) => {
+        const k = addInput(clip.asset);
+        const delayMs = Math.round((clip.start || 0) * 1000);
+        const volume = clip.volume === undefined ? 1 : clip.volume;
+        filters.push(`[${k}:a]atrim=start=${clip.in}:end=${clip.out},asetpts=PTS-STARTPTS,volume=${volume},adelay=${delayMs}:all=1,${AUDIO_FORMAT}[bg${j}]`);
+        mixLabels.push(`[bg${j}]`);
+    });
+    if (audioClips.length > 0) {
+        filters.push(`${mixLabels.join('')}amix=inputs=${mixLabels.length}:duration=first:dropout_transition=0:normalize=0[aout]`);
+    } else {
+        filters.push(`[${audioLabel}]anull[aout]`);
+    }
+
+    return { inputs, filters, outputs: ['vout', 'aout'], duration };
+}
+
+module.exports = {
+    DEFAULT_SETTINGS,
+    validateProject,
+    projectAssetIds,
+    compileTimeline
+};
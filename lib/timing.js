@@ -0,0 +1,156 @@
+// ─── Playback timing: ranges, speed changes, reverse, freeze frames, cuts ───
+
+const MIN_SPEED = 0.25;
+const MAX_SPEED = 4;
+// reverse/areverse hold every decoded frame of the range in memory
+const MAX_REVERSE_SECONDS = 10;
+const MAX_FREEZE_SECONDS = 10;
+
+/**
+ * Parse a request's `startTime` / `endTime` the way /trim always has:
+ * missing or invalid values are 0, and `duration` is 0 ("until the end")
+ * unless endTime lies after startTime.
+ */
+function parseTimeRange({ startTime, endTime } = {}) {
+    const start = parseFloat(startTime) || 0;
+    const end = parseFloat(endTime) || 0;
+    return { start, end, duration: end > start ? end - start : 0 };
+}
+
+// atempo is only guaranteed to accept 0.5-2.0 per instance, so bigger changes are chained
+function atempoChain(speed) {
+    const chain = [];
+    let remaining = speed;
+    while (remaining > 2) {
+        chain.push('atempo=2');
+        remaining /= 2;
+    }
+    while (remaining < 0.5) {
+        chain.push('atempo=0.5');
+        remaining /= 0.5;
+    }
+    if (Math.abs(remaining - 1) > 1e-6) chain.push(`atempo=${Number(remaining.toFixed(6))}`);
+    return chain;
+}
+
+/**
+ * Cut the input into consecutive segments, run each through its own filters and join
+ * them again. `segments` are `{ from, to, video: [...], audio: [...] }` (to = null: until
+ * the end). The result is labelled [vout] (and [aout] when `hasAudio`).
+ */
+function segmentGraph(segments, hasAudio) {
+    const filters = [];
+    const n = segments.length;
+    const labels = (prefix) => segments.map((_, i) => `[${prefix}${i}]`);
+    const videoIn = n > 1 ? labels('vs') : ['[0:v]'];
+    const audioIn = n > 1 ? labels('as') : ['[0:a]'];
+    const videoOut = n > 1 ? labels('v') : ['[vout]'];
+    const audioOut = n > 1 ? labels('a') : ['[aout]'];
+
+    if (n > 1) {
+        filters.push(`[0:v]split=${n}${videoIn.join('')}`);
+        if (hasAudio) filters.push(`[0:a]asplit=${n}${audioIn.join('')}`);
+    }
+    segments.forEach((seg, i) => {
+        const range = seg.to === null ? `start=${seg.from}` : `start=${seg.from}:end=${seg.to}`;
+        filters.push([`${videoIn[i]}trim=${range}`, 'setpts=PTS-STARTPTS', ...(seg.video || [])].join(',') + videoOut[i]);
+        if (hasAudio) {
+            filters.push([`${audioIn[i]}atrim=${range}`, 'asetpts=PTS-STARTPTS', ...(seg.audio || [])].join(',') + audioOut[i]);
+        }
+    });
+    if (n > 1) {
+        const pairs = segments.map((_, i) => videoOut[i] + (hasAudio ? audioOut[i] : '')).join('');
+        filters.push(`${pairs}concat=n=${n}:v=1:a=${hasAudio ? 1 : 0}[vout]${hasAudio ? '[aout]' : ''}`);
+    }
+    return filters;
+}
+
+/**
+ * Speed up or slow down `[start, end)` (end 0 = until the end) by `speed`, keeping
+ * audio pitch. The rest of the clip plays at normal speed.
+ * Returns `{ filters, duration }` with the output length in seconds.
+ */
+function buildSpeedGraph({ start, end, speed }, { duration, hasAudio }) {
+    const rangeEnd = end > start && end < duration ? end : duration;
+    const segments = [];
+    if (start > 0) segments.push({ from: 0, to: start });
+    segments.push({
+        from: start,
+        to: rangeEnd < duration ? rangeEnd : null,
+        video: [`setpts=PTS/${speed}`],
+        audio: atempoChain(speed)
+    });
+    if (rangeEnd < duration) segments.push({ from: rangeEnd, to: null });
+
+    return {
+        filters: segmentGraph(segments, hasAudio),
+        duration: duration - (rangeEnd - start) + (rangeEnd - start) / speed
+    };
+}
+
+/**
+ * Play `[start, end)` backwards. `scale` (the preset's scale filter, if any) runs before
+ * `reverse` so the buffered frames are as small as the output allows.
+ */
+function buildReverseGraph({ start, end }, { duration, hasAudio }, scale) {
+    const rangeEnd = end > start && end < duration ? end : duration;
+    const segment = {
+        from: start,
+        to: rangeEnd < duration ? rangeEnd : null,
+        video: [...(scale ? [scale] : []), 'reverse'],
+        audio: ['areverse']
+    };
+    return { filters: segmentGraph([segment], hasAudio), duration: rangeEnd - start };
+}
+
+/**
+ * Hold the frame at `time` for `holdDuration` seconds (silence underneath), then carry on.
+ * The output is `holdDuration` longer than the input.
+ */
+function buildFreezeGraph({ time, holdDuration }, { duration, hasAudio }) {
+    const delayMs = Math.round(holdDuration * 1000);
+    let segments;
+    if (time >= duration) {
+        // Freeze on the last frame
+        segments = [{
+            from: 0,
+            to: null,
+            video: [`tpad=stop_mode=clone:stop_duration=${holdDuration}`],
+            audio: [`apad=pad_dur=${holdDuration}`]
+        }];
+    } else {
+        const hold = {
+            from: time,
+            to: null,
+            video: [`tpad=start_mode=clone:start_duration=${holdDuration}`],
+            audio: [`adelay=${delayMs}:all=1`]
+        };
+        segments = time > 0 ? [{ from: 0, to: time }, hold] : [hold];
+    }
+    return { filters: segmentGraph(segments, hasAudio), duration: duration + holdDuration };
+}
+
+/**
+ * Keep only the `ranges` (`[{ from, to }]`, in order) and join them back to back,
+ * e.g. to cut out silence.
+ */
+function buildKeepGraph(ranges, { duration, hasAudio }) {
+    const segments = ranges.map(({ from, to }) => ({ from, to: to < duration ? to : null }));
+    return {
+        filters: segmentGraph(segments, hasAudio),
+        duration: ranges.reduce((total, { from, to }) => total + Math.min(to, duration) - from, 0)
+    };
+}
+
+module.exports = {
+    MIN_SPEED,
+    MAX_SPEED,
+    MAX_REVERSE_SECONDS,
+    MAX_FREEZE_SECONDS,
+    parseTimeRange,
+    atempoChain,
+    buildSpeedGraph,
+    buildReverseGraph,
+    buildFreezeGraph,
+    buildKeepGraph
+};
@@ -0,0 +1,165 @@
+// ─── Geometric transforms: crop, rotate, flip, resize, aspect-ratio reframing ───
+// Applied in that order. Sizes are tracked here (from the probed source size) so
+// every intermediate frame stays even-sized for yuv420p encoders.
+
+const RIGHT_ANGLE_ROTATIONS = {
+    90: ['transpose=clock'],
+    180: ['hflip', 'vflip'],
+    270: ['transpose=cclock']
+};
+const FLIPS = {
+    horizontal: ['hflip'],
+    vertical: ['vflip'],
+    both: ['hflip', 'vflip']
+};
+const ASPECT_PRESETS = { '9:16': [9, 16], '1:1': [1, 1], '4:5': [4, 5], '16:9': [16, 9], '4:3': [4, 3] };
+const REFRAME_MODES = ['pad', 'blur', 'crop'];
+const MAX_DIMENSION = 3840;
+
+const evenDown = (n) => Math.max(2, Math.floor(n / 2) * 2);
+const evenUp = (n) => Math.max(2, Math.ceil(n / 2) * 2);
+
+// '9:16' or any 'W:H' -> [W, H]; null if malformed
+function parseAspect(aspect) {
+    if (Object.prototype.hasOwnProperty.call(ASPECT_PRESETS, aspect)) return ASPECT_PRESETS[aspect];
+    const match = /^(\d{1,4}):(\d{1,4})$/.exec(String(aspect));
+    if (!match || Number(match[1]) === 0 || Number(match[2]) === 0) return null;
+    return [Number(match[1]), Number(match[2])];
+}
+
+// '#rrggbb' -> '0xrrggbb' (FFmpeg syntax), color names pass through; null if invalid
+function ffmpegColor(color) {
+    const value = String(color);
+    if (/^#?[0-9a-f]{6}$/i.test(value)) return '0x' + value.replace('#', '');
+    if (/^[a-z]{3,20}$/i.test(value)) return value.toLowerCase();
+    return null;
+}
+
+function isPositiveInt(value) {
+    return Number.isInteger(value) && value > 0 && value <= MAX_DIMENSION;
+}
+
+/**
+ * Validate transform options from a request body. Returns an array of error
+ * messages (empty when valid).
+ */
+function validateTransform({ crop, rotate, fillColor, flip, resize, reframe } = {}) {
+    const errors = [];
+    if (!crop && rotate === undefined && !flip && !resize && !reframe) {
+        errors.push('At least one of crop, rotate, flip, resize or reframe is required');
+    }
+    if (crop) {
+        if (!isPositiveInt(crop.width) || !isPositiveInt(crop.height)) errors.push('crop.width and crop.height must be positive integers');
+        for (const key of ['x', 'y']) {
+            if (crop[key] !== undefined && !(Number.isInteger(crop[key]) && crop[key] >= 0)) errors.push(`crop.${key} must be a non-negative integer`);
+        }
+    }
+    if (rotate !== undefined && !(typeof rotate === 'number' && isFinite(rotate))) errors.push('rotate must be a number of degrees');
+    if (fillColor !== undefined && !ffmpegColor(fillColor)) errors.push('fillColor must be a hex color or color name');
+    if (flip !== undefined && !Object.prototype.hasOwnProperty.call(FLIPS, flip)) errors.push(`flip must be one of: ${Object.keys(FLIPS).join(', ')}`);
+    if (resize) {
+        if (resize.width === undefined && resize.height === undefined) errors.push('resize needs width and/or height');
+        for (const key of ['width', 'height']) {
+            if (resize[key] !== undefined && !isPositiveInt(resize[key])) errors.push(`resize.${key} must be an integer between 1 and ${MAX_DIMENSION}`);
+        }
+    }
+    if (reframe) {
+        if (!parseAspect(reframe.aspect)) errors.push(`reframe.aspect must be one of ${Object.keys(ASPECT_PRESETS).join(', ')} or W:H`);
+        if (reframe.mode !== undefined && !REFRAME_MODES.includes(reframe.mode)) errors.push(`reframe.mode must be one of: ${REFRAME_MODES.join(', ')}`);
+        if (reframe.color !== undefined && !ffmpegColor(reframe.color)) errors.push('reframe.color must be a hex color or color name');
+        for (const key of ['focusX', 'focusY']) {
+            const value = reframe[key];
+            if (value !== undefined && !(typeof value === 'number' && value >= 0 && value <= 1)) errors.push(`reframe.${key} must be between 0 and 1`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Compile validated transform options for a source of `{ width, height }` (display size).
+ * Returns `{ filters, width, height }` (a -vf chain and the resulting size) or `{ error }`
+ * when the options don't fit the source, e.g. a crop rectangle outside the frame.
+ */
+function compileTransform({ crop, rotate, fillColor, flip, resize, reframe }, source) {
+    const filters = [];
+    let width = source.width;
+    let height = source.height;
+
+    if (crop) {
+        const x = crop.x || 0;
+        const y = crop.y || 0;
+        if (x + crop.width > width || y + crop.height > height) {
+            return { error: `Crop rectangle ${crop.width}x${crop.height}+${x}+${y} is outside the ${width}x${height} frame` };
+        }
+        width = evenDown(crop.width);
+        height = evenDown(crop.height);
+        filters.push(`crop=${width}:${height}:${x}:${y}`);
+    }
+
+    if (rotate !== undefined) {
+        const degrees = ((rotate % 360) + 360) % 360;
+        if (RIGHT_ANGLE_ROTATIONS[degrees]) {
+            filters.push(...RIGHT_ANGLE_ROTATIONS[degrees]);
+            if (degrees !== 180) [width, height] = [height, width];
+        } else if (degrees !== 0) {
+            // Arbitrary angle: grow the canvas to fit the rotated frame, fill the corners
+            const radians = degrees * Math.PI / 180;
+            const rotatedW = evenUp(Math.abs(width * Math.cos(radians)) + Math.abs(height * Math.sin(radians)));
+            const rotatedH = evenUp(Math.abs(width * Math.sin(radians)) + Math.abs(height * Math.cos(radians)));
+            const color = fillColor ? ffmpegColor(fillColor) : 'black';
+            filters.push(`rotate=${radians.toFixed(6)}:ow=${rotatedW}:oh=${rotatedH}:c=${color}`);
+            width = rotatedW;
+            height = rotatedH;
+        }
+    }
+
+    if (flip) filters.push(...FLIPS[flip]);
+
+    if (resize) {
+        const w = resize.width ? evenDown(resize.width) : evenDown(width * resize.height / height);
+        const h = resize.height ? evenDown(resize.height) : evenDown(height * resize.width / width);
+        filters.push(`scale=${w}:${h}`, 'setsar=1');
+        width = w;
+        height = h;
+    }
+
+    if (reframe) {
+        const [aw, ah] = parseAspect(reframe.aspect);
+        const mode = reframe.mode || 'pad';
+
+        if (mode === 'crop') {
+            // Largest rectangle of the target aspect inside the frame, placed by focus (0.5 = center)
+            const w = evenDown(Math.min(width, height * aw / ah));
+            const h = evenDown(Math.min(height, width * ah / aw));
+            const fx = reframe.focusX !== undefined ? reframe.focusX : 0.5;
+            const fy = reframe.focusY !== undefined ? reframe.focusY : 0.5;
+            filters.push(`crop=${w}:${h}:${Math.round((width - w) * fx)}:${Math.round((height - h) * fy)}`);
+            width = w;
+            height = h;
+        } else {
+            // Smallest canvas of the target aspect that holds the whole frame
+            const w = evenUp(Math.max(width, height * aw / ah));
+            const h = evenUp(Math.max(height, width * ah / aw));
+            if (mode === 'blur') {
+                // Blurred, zoomed copy of the video behind it instead of bars
+                filters.push(`split[tf_fg][tf_bg];[tf_bg]scale=${w}:${h}:force_original_aspect_ratio=increase,crop=${w}:${h},boxblur=luma_radius='min(w,h)/20':luma_power=2[tf_blur];`
+                    + '[tf_blur][tf_fg]overlay=(W-w)/2:(H-h)/2');
+            } else {
+                const color = reframe.color ? ffmpegColor(reframe.color) : 'black';
+                filters.push(`pad=${w}:${h}:(ow-iw)/2:(oh-ih)/2:color=${color}`);
+            }
+            filters.push('setsar=1');
+            width = w;
+            height = h;
+        }
+    }
+
+    return { filters, width, height };
+}
+
+module.exports = {
+    ASPECT_PRESETS,
+    ffmpegColor,
+    validateTransform,
+    compileTransform
+};
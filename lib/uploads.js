@@ -0,0 +1,333 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { once } = require('events');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+const { openCollection } = require('./store');
+const { UPLOADS_DIR, registerAsset, updateAsset } = require('./assets');
+const { signUrl } = require('./access');
+const { probeBasics, probeErrorMessage } = require('./probe');
+const { isSubtitleFile } = require('./subtitles');
+const { isLutFile } = require('./filters');
+const { isFontFile } = require('./textLayers');
+const { maxChunkedUploadBytes, maxChunkBytes, uploadSessionTtlMs } = require('../config/uploads');
+
+// ─── Uploads: accepted file types, naming and the response for a finished upload ───
+
+// Images are accepted as overlay sources (logos, watermarks)
+const ALLOWED_MIME_TYPES = /video|audio|image\/(png|jpeg|webp|gif)/;
+const ALLOWED_UPLOADS = 'Only video/audio, image, subtitle (SRT, VTT, ASS), LUT (.cube) or font (TTF, OTF) files are allowed';
+
+// Browsers send anything from text/plain to an empty type for subtitles, LUTs and fonts, so go by extension
+function isAllowedUpload(name, mimetype) {
+    return ALLOWED_MIME_TYPES.test(mimetype || '') || isSubtitleFile(name) || isLutFile(name) || isFontFile(name);
+}
+
+// Stored name for an upload: a fresh UUID, keeping only a plain extension from the client's name
+// (asset IDs allow nothing else)
+function uploadFilename(originalName) {
+    const ext = path.extname(originalName);
+    return `${uuidv4()}${/^\.[A-Za-z0-9]{1,10}$/.test(ext) ? ext : ''}`;
+}
+
+/**
+ * Register a file that has landed in uploads/ and probe it (unless the caller passes its
+ * probeBasics() as `media`). Resolves to the upload response (never rejects: a file FFprobe
+ * can't read is kept and `probeError` says why).
+ * `parents` and `operation` are set for uploads made from another one (mezzanines).
+ */
+function finishUpload(filename, { originalName, size, parents = [], operation = null, media = null }, user) {
+    // Probed just below, so the record gets the same metadata as the response
+    const asset = registerAsset('upload', filename, { parents, operation, originalName, owner: user, media: null });
+    const response = {
+        success: true,
+        assetId: asset.id,
+        filename,
+        originalName,
+        size,
+        duration: 0,
+        width: 0,
+        height: 0,
+        hasVideo: false,
+        hasAudio: false,
+        probeUrl: `/api/media/${encodeURIComponent(asset.id)}/probe`,
+        streamUrl: signUrl(`/api/video/${encodeURIComponent(asset.id)}`, user)
+    };
+
+    // Get video metadata (full details via probeUrl)
+    return (media ? Promise.resolve(media) : probeBasics(path.join(UPLOADS_DIR, filename)))
+        .then(media => {
+            updateAsset(asset.id, { media });
+            return { ...response, ...media };
+        })
+        .catch(err => {
+            // The file is kept, but say so instead of pretending it is zero-length
+            console.warn('FFprobe warning (video still uploaded):', probeErrorMessage(err));
+            return { ...response, probeError: probeErrorMessage(err) };
+        });
+}
+
+// ─── Resumable chunked uploads ───
+// A session is created with the file's size, chunks are PUT by index in any order (again
+// after a failure), and completing it joins them into uploads/<filename>. Chunks live in
+// uploads/.chunks/<session id>/ meanwhile; dot entries are invisible to retention.
+const CHUNKS_DIR = path.join(UPLOADS_DIR, '.chunks');
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const SHA256_PATTERN = /^[0-9a-fA-F]{64}$/;
+// Too many chunks make the session record and status response unwieldy
+const MAX_CHUNKS = 10000;
+const MIN_CHUNK_BYTES = 256 * 1024;
+// Partial files untouched for this long were abandoned (the server restarted while writing them)
+const PART_FILE_GRACE_MS = 10 * 60 * 1000;
+
+if (!fs.existsSync(CHUNKS_DIR)) fs.mkdirSync(CHUNKS_DIR, { recursive: true });
+
+const sessions = openCollection('uploads');
+// Session id -> number of chunks being written; sessions being assembled
+const writing = new Map();
+const assembling = new Set();
+
+function chunkDir(id) {
+    return path.join(CHUNKS_DIR, id);
+}
+
+function getUploadSession(id) {
+    return SESSION_ID_PATTERN.test(String(id)) ? sessions.get(id) : null;
+}
+
+function isSessionBusy(session) {
+    return writing.has(session.id) || assembling.has(session.id);
+}
+
+function isAssembling(session) {
+    return assembling.has(session.id);
+}
+
+/**
+ * Check the body of a new chunked upload: `{ filename, size, type, chunkSize, sha256 }`.
+ * Returns an array of error messages (empty when valid).
+ */
+function validateUploadRequest({ filename, size, type, chunkSize, sha256 }) {
+    const errors = [];
+    if (typeof filename !== 'string' || !filename.trim()) {
+        errors.push('filename (the original file name) is required');
+    } else if (!isAllowedUpload(filename, type)) {
+        errors.push(ALLOWED_UPLOADS);
+    }
+    if (!Number.isInteger(size) || size < 1) {
+        errors.push('size must be the file size in bytes');
+    } else if (size > maxChunkedUploadBytes) {
+        errors.push(`File too large. Max size is ${Number((maxChunkedUploadBytes / 1024 / 1024).toFixed(1))}MB`);
+    }
+    if (chunkSize !== undefined && !(Number.isInteger(chunkSize) && chunkSize >= MIN_CHUNK_BYTES && chunkSize <= maxChunkBytes)) {
+        errors.push(`chunkSize must be a whole number of bytes between ${MIN_CHUNK_BYTES} and ${maxChunkBytes}`);
+    }
+    if (errors.length === 0 && Math.ceil(size / (chunkSize || maxChunkBytes)) > MAX_CHUNKS) {
+        errors.push(`At most ${MAX_CHUNKS} chunks per upload; use a larger chunkSize`);
+    }
+    if (sha256 !== undefined && !(typeof sha256 === 'string' && SHA256_PATTERN.test(sha256))) {
+        errors.push('sha256 must be the hex SHA-256 of the whole file');
+    }
+    return errors;
+}
+
+function expiryFrom(time) {
+    return new Date(time + uploadSessionTtlMs).toISOString();
+}
+
+function createUploadSession({ filename, size, chunkSize = maxChunkBytes, sha256 }, owner) {
+    const now = Date.now();
+    const session = sessions.set({
+        id: uuidv4(),
+        owner,
+        originalName: filename.trim(),
+        filename: uploadFilename(filename.trim()),
+        size,
+        chunkSize,
+        totalChunks: Math.ceil(size / chunkSize),
+        sha256: sha256 ? sha256.toLowerCase() : null,
+        // Received chunk index -> its SHA-256
+        chunks: {},
+        createdAt: new Date(now).toISOString(),
+        expiresAt: expiryFrom(now)
+    });
+    fs.mkdirSync(chunkDir(session.id), { recursive: true });
+    return session;
+}
+
+// Every chunk is chunkSize bytes except (usually) the last
+function chunkLength(session, index) {
+    return index === session.totalChunks - 1 ? session.size - index * session.chunkSize : session.chunkSize;
+}
+
+function uploadStatus(session) {
+    const missingChunks = [];
+    for (let i = 0; i < session.totalChunks; i++) {
+        if (!session.chunks[i]) missingChunks.push(i);
+    }
+    const receivedBytes = Object.keys(session.chunks).reduce((total, i) => total + chunkLength(session, Number(i)), 0);
+    return {
+        uploadId: session.id,
+        originalName: session.originalName,
+        size: session.size,
+        chunkSize: session.chunkSize,
+        totalChunks: session.totalChunks,
+        receivedBytes,
+        chunks: session.chunks,
+        missingChunks,
+        sha256: session.sha256,
+        uploadUrl: `/api/uploads/${session.id}`,
+        expiresAt: session.expiresAt
+    };
+}
+
+// Passes data through while counting and hashing it; fails once more than `limit` bytes arrive
+function hashingMeter(limit, what) {
+    const meter = new Transform({
+        transform(data, encoding, callback) {
+            meter.bytes += data.length;
+            if (meter.bytes > limit) return callback(new Error(`${what} is larger than ${limit} bytes`));
+            meter.hash.update(data);
+            callback(null, data);
+        }
+    });
+    meter.bytes = 0;
+    meter.hash = crypto.createHash('sha256');
+    return meter;
+}
+
+/**
+ * Store chunk `index` of a session from the `input` stream (the request body).
+ * `expectedSha256`, when given, must match the chunk. A chunk sent again replaces
+ * the earlier copy. Resolves to `{ chunk: { index, size, sha256 } }` or `{ error }`.
+ */
+async function writeChunk(session, index, input, expectedSha256) {
+    const size = chunkLength(session, index);
+    const dir = chunkDir(session.id);
+    const tmp = path.join(dir, `${index}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+    const meter = hashingMeter(size, `Chunk ${index}`);
+
+    writing.set(session.id, (writing.get(session.id) || 0) + 1);
+    try {
+        await pipeline(input, meter, fs.createWriteStream(tmp));
+        if (meter.bytes !== size) throw new Error(`Chunk ${index} must be ${size} bytes, got ${meter.bytes}`);
+        const sha256 = meter.hash.digest('hex');
+        if (expectedSha256 && expectedSha256.toLowerCase() !== sha256) {
+            throw new Error(`Chunk ${index} checksum mismatch (received data has SHA-256 ${sha256})`);
+        }
+        fs.renameSync(tmp, path.join(dir, String(index)));
+
+        const now = Date.now();
+        const current = sessions.get(session.id);
+        if (!current) throw new Error('Upload was cancelled');
+        sessions.update(session.id, { chunks: { ...current.chunks, [index]: sha256 }, expiresAt: expiryFrom(now) });
+        return { chunk: { index, size, sha256 } };
+    } catch (e) {
+        fs.rmSync(tmp, { force: true });
+        return { error: e.message };
+    } finally {
+        const count = writing.get(session.id) - 1;
+        if (count > 0) writing.set(session.id, count);
+        else writing.delete(session.id);
+    }
+}
+
+/**
+ * Join a session's chunks into uploads/<filename>, checking the whole file against
+ * `expectedSha256` (or the checksum given when the session was created). On success the
+ * session is removed; on a mismatch it is kept so the client can re-send chunks.
+ * Resolves to `{ filename, size, sha256 }` or `{ error }`.
+ */
+async function assembleUpload(session, expectedSha256) {
+    const expected = (expectedSha256 || session.sha256 || '').toLowerCase() || null;
+    const finalPath = path.join(UPLOADS_DIR, session.filename);
+    // A dot file until verified, so retention and asset lookups never see a partial upload
+    const partPath = path.join(UPLOADS_DIR, `.${session.filename}.part`);
+    const hash = crypto.createHash('sha256');
+
+    assembling.add(session.id);
+    try {
+        const out = fs.createWriteStream(partPath);
+        const closed = once(out, 'close');
+        try {
+            for (let i = 0; i < session.totalChunks; i++) {
+                for await (const data of fs.createReadStream(path.join(chunkDir(session.id), String(i)))) {
+                    hash.update(data);
+                    if (!out.write(data)) await once(out, 'drain');
+                }
+            }
+        } finally {
+            out.end();
+            await closed;
+        }
+        const sha256 = hash.digest('hex');
+        if (expected && expected !== sha256) {
+            fs.rmSync(partPath, { force: true });
+            return { error: `File checksum mismatch (assembled file has SHA-256 ${sha256}); check the chunk checksums and re-send any that differ` };
+        }
+        fs.renameSync(partPath, finalPath);
+        fs.rmSync(chunkDir(session.id), { recursive: true, force: true });
+        sessions.delete(session.id);
+        return { filename: session.filename, size: session.size, sha256 };
+    } catch (e) {
+        fs.rmSync(partPath, { force: true });
+        return { error: `Could not assemble upload: ${e.message}` };
+    } finally {
+        assembling.delete(session.id);
+    }
+}
+
+function deleteUploadSession(session) {
+    fs.rmSync(chunkDir(session.id), { recursive: true, force: true });
+    sessions.delete(session.id);
+}
+
+/**
+ * Discard unfinished uploads whose session has expired, plus chunk directories nothing
+ * refers to and abandoned partial files (left by a restart). Returns the number removed.
+ */
+function sweepExpiredUploads(now = Date.now()) {
+    let removed = 0;
+    for (const session of sessions.values()) {
+        if (Date.parse(session.expiresAt) <= now && !isSessionBusy(session)) {
+            deleteUploadSession(session);
+            removed++;
+        }
+    }
+    for (const id of fs.readdirSync(CHUNKS_DIR)) {
+        if (sessions.get(id)) continue;
+        fs.rmSync(chunkDir(id), { recursive: true, force: true });
+        removed++;
+    }
+    // Partial files are still being written while assembly or an ingest job keeps touching them
+    for (const file of fs.readdirSync(UPLOADS_DIR)) {
+        if (!file.startsWith('.') || !file.endsWith('.part')) continue;
+        const filePath = path.join(UPLOADS_DIR, file);
+        try {
+            if (now - fs.statSync(filePath).mtimeMs < PART_FILE_GRACE_MS) continue;
+            fs.rmSync(filePath, { force: true });
+            removed++;
+        } catch (e) { /* ignore individual file errors */ }
+    }
+    return removed;
+}
+
+module.exports = {
+    ALLOWED_UPLOADS,
+    isAllowedUpload,
+    uploadFilename,
+    finishUpload,
+    getUploadSession,
+    isSessionBusy,
+    isAssembling,
+    validateUploadRequest,
+    createUploadSession,
+    chunkLength,
+    uploadStatus,
+    writeChunk,
+    assembleUpload,
+    deleteUploadSession,
+    sweepExpiredUploads
+};
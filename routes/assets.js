@@ -0,0 +1,90 @@
+const express = require('express');
+const { checkAssetParam, resolveAsset, getAssetRecord, listAssets, setAssetPinned, deleteAsset, getLineage } = require('../lib/assets');
+const { assetsInUse } = require('../lib/jobs');
+const { signUrl, signedUrlExpiry } = require('../lib/access');
+
+const router = express.Router();
+
+router.param('id', checkAssetParam);
+
+// ─── Asset List ───
+// ?kind=upload|processed, ?operation=trim, ?deleted=true to include deleted files,
+// ?limit (default 100, max 1000) and ?offset to page through
+router.get('/assets', (req, res) => {
+    const { kind, operation, deleted } = req.query;
+    if (kind !== undefined && kind !== 'upload' && kind !== 'processed') {
+        return res.status(400).json({ error: 'kind must be upload or processed' });
+    }
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) return res.status(400).json({ error: 'limit must be an integer between 1 and 1000' });
+    if (!Number.isInteger(offset) || offset < 0) return res.status(400).json({ error: 'offset must be a non-negative integer' });
+
+    const assets = listAssets({ kind, operation, user: req.user, includeDeleted: deleted === 'true' });
+    res.json({ total: assets.length, limit, offset, assets: assets.slice(offset, offset + limit) });
+});
+
+// ─── Asset Info ───
+router.get('/assets/:id', (req, res) => {
+    const asset = resolveAsset(req.params.id, req.user);
+    if (!asset) return res.status(404).json({ error: 'Asset not found' });
+    res.json(getAssetRecord(asset));
+});
+
+// ─── Signed URLs (for video elements and download links, which can't send an API key) ───
+router.get('/assets/:id/urls', (req, res) => {
+    const asset = resolveAsset(req.params.id, req.user);
+    if (!asset) return res.status(404).json({ error: 'Asset not found' });
+
+    const expiresAt = signedUrlExpiry();
+    const id = encodeURIComponent(asset.id);
+    res.json({
+        assetId: asset.id,
+        streamUrl: signUrl(`/api/video/${id}`, req.user, expiresAt),
+        downloadUrl: signUrl(`/api/export/${id}`, req.user, expiresAt),
+        expiresAt: new Date(expiresAt).toISOString()
+    });
+});
+
+// ─── Delete an Asset ───
+// Refused while a queued or running job still reads the file
+router.delete('/assets/:id', (req, res) => {
+    const asset = resolveAsset(req.params.id, req.user);
+    if (!asset) return res.status(404).json({ error: 'Asset not found' });
+    if (assetsInUse().has(asset.id)) {
+        return res.status(409).json({ error: 'Asset is in use by a queued or running job' });
+    }
+
+    try {
+        deleteAsset(asset);
+    } catch (e) {
+        console.error('Delete error:', e.message);
+        return res.status(500).json({ error: 'Could not delete asset', details: e.message });
+    }
+    console.log(`🗑️ Deleted ${asset.id}`);
+    res.json({ success: true, assetId: asset.id });
+});
+
+// ─── Pin / Unpin (pinned assets are never cleaned up) ───
+router.post('/assets/:id/pin', (req, res) => {
+    const asset = resolveAsset(req.params.id, req.user);
+    if (!asset) return res.status(404).json({ error: 'Asset not found' });
+    res.json(setAssetPinned(asset, true));
+});
+
+router.post('/assets/:id/unpin', (req, res) => {
+    const asset = resolveAsset(req.params.id, req.user);
+    if (!asset) return res.status(404).json({ error: 'Asset not found' });
+    res.json(setAssetPinned(asset, false));
+});
+
+// ─── Asset Lineage (edit history) ───
+router.get('/assets/:id/lineage', (req, res) => {
+    const asset = resolveAsset(req.params.id, req.user);
+    if (!asset) return res.status(404).json({ error: 'Asset not found' });
+
+    const { ancestors, descendants } = getLineage(asset.id);
+    res.json({ asset: getAssetRecord(asset), ancestors, descendants });
+});
+
+module.exports = router;
@@ -0,0 +1,276 @@
+const express = require('express');
+const ffmpeg = require('fluent-ffmpeg');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { enqueueJob, jobAccepted } = require('../lib/jobs');
+const { PROCESSED_DIR, resolveAsset, registerOutput } = require('../lib/assets');
+const { safeDelete } = require('../lib/ffmpeg');
+const { probeBasics } = require('../lib/probe');
+const { getPreset, presetVideoFilters, presetOutputOptions } = require('../lib/presets');
+const { resolveOutputFormat, audioCodecOptions } = require('../lib/formats');
+const { fadeInFilter, fadeOutFilter, volumeFilter } = require('../lib/filters');
+const {
+    MUSIC_DEFAULTS,
+    REPLACE_DEFAULTS,
+    validateAudioOptions,
+    buildMusicGraph,
+    buildReplaceGraph,
+    loudnormFilter,
+    parseLoudnormStats,
+    denoiseFilter
+} = require('../lib/audioMix');
+
+const router = express.Router();
+
+// Operations that probe the input once the job starts and build their own command
+const MIX_OPERATIONS = ['music', 'replace', 'normalize', 'denoise'];
+// Operations that only touch the audio, so they can also write an audio-only format
+const AUDIO_ONLY_OUTPUT_OPERATIONS = ['extract', 'normalize', 'denoise'];
+
+// Extraction always writes an audio-only file (mp3 by default); normalize and denoise keep
+// the video unless `format` names an audio container; everything else keeps the video
+function outputFormatFor(operation, body) {
+    if (operation === 'extract') return resolveOutputFormat(body, 'audio');
+    const video = resolveOutputFormat(body, 'video');
+    if (video.error && AUDIO_ONLY_OUTPUT_OPERATIONS.includes(operation)) {
+        const audio = resolveOutputFormat(body, 'audio');
+        if (!audio.error) return audio;
+    }
+    return video;
+}
+
+// loudnorm analysis pass over the audio only; its stats are read off stderr at the end
+function measureLoudness(inputPath, options, job) {
+    return new Promise((resolve, reject) => {
+        job.track(ffmpeg(inputPath))
+            .noVideo()
+            .audioFilters(loudnormFilter(options))
+            .format('null')
+            .output('-')
+            .on('progress', (progress) => {
+                if (progress.percent) job.progress(progress.percent / 2);
+            })
+            .on('end', (stdout, stderr) => {
+                const stats = parseLoudnormStats(stderr || '');
+                if (!stats) return reject(new Error('Could not measure loudness (is the audio silent?)'));
+                resolve(stats);
+            })
+            .on('error', (err) => reject(new Error(`Failed to measure loudness: ${err.message}`)))
+            .run();
+    });
+}
+
+/**
+ * Queue a music / replace / normalize / denoise job. `source` is the second audio
+ * asset for music and replace. Normalization runs two passes; the second one
+ * reports its progress as 50-100%.
+ */
+function enqueueMixJob(operation, body, { input, source, outputPreset, outputFormat }) {
+    const outputFilename = `audio_${uuidv4()}.${outputFormat.extension}`;
+    const outputPath = path.join(PROCESSED_DIR, outputFilename);
+
+    return enqueueJob('audio', async (job) => {
+        const media = await probeBasics(input.path);
+        const cmd = job.track(ffmpeg(input.path));
+        let progressBase = 0;
+
+        if (source) {
+            const sourceMedia = await probeBasics(source.path);
+            if (!sourceMedia.hasAudio) throw new Error(`${source.id} has no audio stream`);
+            if (!media.duration) throw new Error('Could not determine input duration');
+
+            const music = operation === 'music';
+            const options = { volume: music ? body.musicVolume : body.volume, offset: body.offset, loop: body.loop, duck: music ? body.duck : undefined };
+            cmd.input(source.path);
+            const loop = body.loop !== undefined ? body.loop : (music ? MUSIC_DEFAULTS : REPLACE_DEFAULTS).loop;
+            if (loop) cmd.inputOptions(['-stream_loop', '-1']);
+            cmd.complexFilter(music ? buildMusicGraph(options, media) : buildReplaceGraph(options, media))
+                .outputOptions(['-map', '0:v?', '-map', '[aout]']);
+        } else {
+            if (!media.hasAudio) throw new Error('Input has no audio stream');
+            if (operation === 'normalize') {
+                const targets = { loudness: body.loudness, truePeak: body.truePeak, lra: body.lra };
+                const stats = await measureLoudness(input.path, targets, job);
+                console.log(`  🔊 Measured loudness: ${stats.input_i} LUFS, true peak ${stats.input_tp} dBTP`);
+                cmd.audioFilters(loudnormFilter(targets, stats));
+                progressBase = 50;
+            } else {
+                cmd.audioFilters(denoiseFilter({ strength: body.strength, noiseFloor: body.noiseFloor }));
+            }
+        }
+
+        if (!outputFormat.videoCodec) cmd.noVideo();
+        else if (media.hasVideo) cmd.videoFilters(presetVideoFilters(outputPreset, [], outputFormat));
+
+        return new Promise((resolve, reject) => {
+            cmd.outputOptions(presetOutputOptions(outputPreset, { format: outputFormat }))
+                .output(outputPath)
+                .on('start', (commandLine) => {
+                    console.log('  🔊 FFmpeg command:', commandLine);
+                })
+                .on('progress', (progress) => {
+                    if (progress.percent) console.log(`  🔊 Audio progress: ${Math.round(progress.percent)}%`);
+                    if (progress.percent) job.progress(progressBase + progress.percent * (100 - progressBase) / 100);
+                })
+                .on('end', () => {
+                    console.log(`  🔊 Audio '${operation}' complete: ${outputFilename}`);
+                    const parents = source ? [input.id, source.id] : [input.id];
+                    const output = registerOutput(outputFilename, parents, `audio:${operation}`);
+                    resolve({ filename: outputFilename, assetId: output.id, message: `Audio operation '${operation}' completed` });
+                })
+                .on('error', (err) => {
+                    console.error('Audio error:', err.message);
+                    safeDelete(outputPath);
+                    reject(new Error(`Failed to process audio: ${err.message}`));
+                })
+                .run();
+        });
+    }, { assets: source ? [input.id, source.id] : [input.id] });
+}
+
+// ─── Audio Operations ───
+router.post('/audio', (req, res) => {
+    const { filename, operation, volume, fadeDuration, preset } = req.body;
+    if (!filename || !operation) return res.status(400).json({ error: 'filename and operation required' });
+
+    const errors = validateAudioOptions(operation, req.body);
+    if (errors.length > 0) return res.status(400).json({ error: 'Invalid audio options', details: errors });
+
+    const outputPreset = getPreset(preset);
+    if (!outputPreset) return res.status(400).json({ error: `Unknown preset: ${preset}` });
+
+    const { format: outputFormat, error: formatError } = outputFormatFor(operation, req.body);
+    if (formatError) return res.status(400).json({ error: formatError });
+
+    const input = resolveAsset(filename, req.user);
+
+    if (!input) {
+        return res.status(404).json({ error: 'Input file not found' });
+    }
+    const inputPath = input.path;
+
+    console.log(`🔊 Audio operation '${operation}' on: ${filename}`);
+
+    if (MIX_OPERATIONS.includes(operation)) {
+        if (!outputFormat.audioCodec) return res.status(400).json({ error: `Format '${outputFormat.name}' has no audio track` });
+        let source = null;
+        if (operation === 'music' || operation === 'replace') {
+            source = resolveAsset(operation === 'music' ? req.body.music : req.body.audio, req.user);
+            if (!source) return res.status(404).json({ error: 'Audio file not found' });
+        }
+        return jobAccepted(res, enqueueMixJob(operation, req.body, { input, source, outputPreset, outputFormat }));
+    }
+
+    // Handle extract separately (audio-only output, mp3 by default)
+    if (operation === 'extract') {
+        const audioFilename = `audio_${uuidv4()}.${outputFormat.extension}`;
+        const audioPath = path.join(PROCESSED_DIR, audioFilename);
+        // Without an explicit preset keep the source channels and sample rate
+        const audioOpts = audioCodecOptions(outputFormat.audioCodec, preset ? outputPreset.audio : {});
+        if (outputFormat.faststart) audioOpts.push('-movflags', '+faststart');
+
+        const job = enqueueJob('audio', (job) => new Promise((resolve, reject) => {
+            job.track(ffmpeg(inputPath))
+                .noVideo()
+                .outputOptions(audioOpts)
+                .output(audioPath)
+                .on('progress', (progress) => {
+                    if (progress.percent) console.log(`  🎵 Extract progress: ${Math.round(progress.percent)}%`);
+                    job.progress(progress.percent);
+                })
+                .on('end', () => {
+                    console.log(`  🎵 Audio extracted: ${audioFilename}`);
+                    const output = registerOutput(audioFilename, [input.id], 'audio:extract');
+                    resolve({ filename: audioFilename, assetId: output.id, message: 'Audio extracted successfully' });
+                })
+                .on('error', (err) => {
+                    console.error('Audio extract error:', err.message);
+                    safeDelete(audioPath);
+                    reject(new Error(`Failed to extract audio: ${err.message}`));
+                })
+                .run();
+        }), { assets: [input.id] });
+        return jobAccepted(res, job);
+    }
+
+    // Handle fadeOut: need to know duration first (probed once the job starts)
+    if (operation === 'fadeOut') {
+        const outputFilename = `audio_${uuidv4()}.${outputFormat.extension}`;
+        const outputPath = path.join(PROCESSED_DIR, outputFilename);
+
+        const job = enqueueJob('audio', async (job) => {
+            const media = await probeBasics(inputPath).catch(() => null);
+            const duration = media && media.duration ? media.duration : 30;
+
+            return new Promise((resolve, reject) => {
+                job.track(ffmpeg(inputPath))
+                    .audioFilters(fadeOutFilter(duration, fadeDuration))
+                    .videoFilters(presetVideoFilters(outputPreset, [], outputFormat))
+                    .outputOptions(presetOutputOptions(outputPreset, { format: outputFormat }))
+                    .output(outputPath)
+                    .on('progress', (progress) => {
+                        if (progress.percent) console.log(`  📉 FadeOut progress: ${Math.round(progress.percent)}%`);
+                        job.progress(progress.percent);
+                    })
+                    .on('end', () => {
+                        console.log(`  📉 FadeOut complete: ${outputFilename}`);
+                        const output = registerOutput(outputFilename, [input.id], 'audio:fadeOut');
+                        resolve({ filename: outputFilename, assetId: output.id, message: `Audio operation 'fadeOut' completed` });
+                    })
+                    .on('error', (err) => {
+                        console.error('Audio fadeOut error:', err.message);
+                        safeDelete(outputPath);
+                        reject(new Error(`Failed to process audio: ${err.message}`));
+                    })
+                    .run();
+            });
+        }, { assets: [input.id] });
+        return jobAccepted(res, job);
+    }
+
+    // Handle other operations
+    const outputFilename = `audio_${uuidv4()}.${outputFormat.extension}`;
+    const outputPath = path.join(PROCESSED_DIR, outputFilename);
+    let cmd = ffmpeg(inputPath).videoFilters(presetVideoFilters(outputPreset, [], outputFormat));
+    // Use the right output options: mute needs no audio codec, all others need it
+    let useOutputOpts = presetOutputOptions(outputPreset, { format: outputFormat });
+
+    switch (operation) {
+        case 'mute':
+            cmd.noAudio();
+            useOutputOpts = presetOutputOptions(outputPreset, { audio: false, format: outputFormat }); // no audio codec needed for mute
+            break;
+        case 'volume':
+            cmd.audioFilters(volumeFilter(volume));
+            break;
+        case 'fadeIn':
+            cmd.audioFilters(fadeInFilter(fadeDuration));
+            break;
+        default:
+            return res.status(400).json({ error: `Unknown audio operation: ${operation}` });
+    }
+
+    const job = enqueueJob('audio', (job) => new Promise((resolve, reject) => {
+        job.track(cmd).outputOptions(useOutputOpts)
+            .output(outputPath)
+            .on('progress', (progress) => {
+                if (progress.percent) console.log(`  🔊 Audio progress: ${Math.round(progress.percent)}%`);
+                job.progress(progress.percent);
+            })
+            .on('end', () => {
+                console.log(`  🔊 Audio '${operation}' complete: ${outputFilename}`);
+                const output = registerOutput(outputFilename, [input.id], `audio:${operation}`);
+                resolve({ filename: outputFilename, assetId: output.id, message: `Audio operation '${operation}' completed` });
+            })
+            .on('error', (err) => {
+                console.error('Audio error:', err.message);
+                safeDelete(outputPath);
+                reject(new Error(`Failed to process audio: ${err.message}`));
+            })
+            .run();
+    }), { assets: [input.id] });
+
+    jobAccepted(res, job);
+});
+
+module.exports = router;
@@ -0,0 +1,43 @@
+const express = require('express');
+const { FILTER_DEFINITIONS, listFilterDefinitions, compileFilterStack } = require('../lib/filters');
+const {
+    FILTER_PRESET_NAME_PATTERN,
+    listFilterPresets,
+    saveFilterPreset,
+    deleteFilterPreset
+} = require('../lib/filterPresets');
+
+const router = express.Router();
+
+// ─── Available Filters (built-in + saved presets) ───
+router.get('/filters', (req, res) => {
+    res.json({ filters: listFilterDefinitions(), presets: listFilterPresets(req.user) });
+});
+
+// ─── Saved Filter Presets ───
+// Saving under an existing name replaces that preset (names are shared by all users)
+router.post('/filters/presets', (req, res) => {
+    const { name, label, filters } = req.body;
+    const errors = [];
+    if (!FILTER_PRESET_NAME_PATTERN.test(String(name))) {
+        errors.push('name must be 1-40 lowercase letters, digits or dashes');
+    } else if (Object.prototype.hasOwnProperty.call(FILTER_DEFINITIONS, name)) {
+        errors.push(`name '${name}' is a built-in filter`);
+    }
+    if (label !== undefined && (typeof label !== 'string' || label.length > 100)) errors.push('label must be a string of at most 100 characters');
+    // Presets hold built-in filters only, so they can't refer to each other
+    const compiled = compileFilterStack(filters, { allowPresets: false, user: req.user });
+    if (compiled.errors) errors.push(...compiled.errors);
+    if (errors.length > 0) return res.status(400).json({ error: 'Invalid filter preset', details: errors });
+
+    const preset = saveFilterPreset({ name, label, filters }, req.user);
+    if (!preset) return res.status(409).json({ error: `Filter preset name '${name}' is already taken` });
+    res.status(201).json(preset);
+});
+
+router.delete('/filters/presets/:name', (req, res) => {
+    if (!deleteFilterPreset(req.params.name, req.user)) return res.status(404).json({ error: 'Filter preset not found' });
+    res.json({ success: true });
+});
+
+module.exports = router;
@@ -0,0 +1,72 @@
+const express = require('express');
+const { getJob, cancelJob, queueStats, serializeJob, isFinished } = require('../lib/jobs');
+const { ownsRecord } = require('../lib/access');
+
+const router = express.Router();
+
+// ─── Queue Stats ───
+router.get('/queue', (req, res) => {
+    res.json(queueStats(req.user));
+});
+
+// ─── Job Status ───
+router.get('/jobs/:id', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job || !ownsRecord(job, req.user)) return res.status(404).json({ error: 'Job not found' });
+    res.json(serializeJob(job));
+});
+
+// ─── Cancel a Job ───
+// A running job reports 'cancelled' once its FFmpeg process has exited (follow eventsUrl)
+router.delete('/jobs/:id', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job || !ownsRecord(job, req.user)) return res.status(404).json({ error: 'Job not found' });
+    if (!cancelJob(job)) return res.status(409).json({ error: `Job already ${job.state}` });
+    res.json(serializeJob(job));
+});
+
+// ─── Job Progress (Server-Sent Events) ───
+router.get('/jobs/:id/events', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job || !ownsRecord(job, req.user)) return res.status(404).json({ error: 'Job not found' });
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // stop reverse proxies from buffering the stream
+    });
+
+    const send = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Always send the current snapshot first so late subscribers are in sync
+    send('state', serializeJob(job));
+    if (isFinished(job)) {
+        send('done', serializeJob(job));
+        return res.end();
+    }
+
+    const onState = (data) => send('state', data);
+    const onProgress = (data) => send('progress', data);
+    const onDone = (data) => {
+        send('done', data);
+        res.end();
+    };
+    // Comment lines keep idle connections from being dropped by proxies
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+    job.events.on('state', onState);
+    job.events.on('progress', onProgress);
+    job.events.once('done', onDone);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        job.events.off('state', onState);
+        job.events.off('progress', onProgress);
+        job.events.off('done', onDone);
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,361 @@
+const express = require('express');
+const fs = require('fs');
+const { checkAssetParam, resolveAsset } = require('../lib/assets');
+const { authEnabled, signUrl } = require('../lib/access');
+const { jobAccepted, jobResult } = require('../lib/jobs');
+const { compileFilterStack } = require('../lib/filters');
+const { compileTextLayers } = require('../lib/textLayers');
+const { probeBasics, probeMedia, probeErrorMessage } = require('../lib/probe');
+const { cachePath, tempPath, commitTemp, generateOnce } = require('../lib/mediaCache');
+const { SCENE_DEFAULTS, SILENCE_DEFAULTS, detectScenes, detectSilences } = require('../lib/analysis');
+const {
+    generatePoster,
+    generatePreview,
+    generateSprite,
+    generateWaveformImage,
+    generateWaveformPeaks,
+    withSpriteUrl
+} = require('../lib/thumbnails');
+
+const router = express.Router();
+
+router.param('id', checkAssetParam);
+
+// ─── Full Probe ───
+router.get('/media/:id/probe', async (req, res) => {
+    const asset = resolveAsset(req.params.id, req.user);
+    if (!asset) return res.status(404).json({ error: 'Asset not found' });
+
+    try {
+        const probe = await probeMedia(asset.path);
+        res.json({ assetId: asset.id, ...probe });
+    } catch (e) {
+        console.error('Probe error:', probeErrorMessage(e));
+        res.status(422).json({ error: 'Could not read media', details: probeErrorMessage(e) });
+    }
+});
+
+// ─── Visual scrubbing aids ───
+// Each endpoint serves the cached file if it exists; otherwise it queues a
+// generation job and answers 202 with the job, so the client can retry (or
+// follow the job's events) and then fetch the same URL again.
+
+const SPRITE_DEFAULTS = { count: 20, columns: 10, width: 160 };
+const SPRITE_MAX = { count: 100, columns: 20, width: 320 };
+
+// Integer query param within [min, max]; returns { value } or { error }
+function intParam(query, name, fallback, min, max) {
+    if (query[name] === undefined || query[name] === '') return { value: fallback };
+    const value = Number(query[name]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+        return { error: `${name} must be an integer between ${min} and ${max}` };
+    }
+    return { value };
+}
+
+// Like intParam, for decimals (thresholds, durations)
+function numberParam(query, name, fallback, min, max) {
+    if (query[name] === undefined || query[name] === '') return { value: fallback };
+    const value = Number(query[name]);
+    if (!isFinite(value) || value < min || value > max) {
+        return { error: `${name} must be a number between ${min} and ${max}` };
+    }
+    return { value };
+}
+
+function firstError(...params) {
+    const bad = params.find(p => p.error);
+    return bad ? bad.error : null;
+}
+
+// Shared caches may keep derived files only while the API is open; with API keys they belong to one user
+function sendCached(res, filePath, contentType) {
+    res.set('Content-Type', contentType);
+    res.set('Cache-Control', `${authEnabled ? 'private' : 'public'}, max-age=3600`);
+    res.sendFile(filePath);
+}
+
+function generationAccepted(res, job) {
+    res.set('Retry-After', '1');
+    jobAccepted(res, job);
+}
+
+// Resolve the asset and probe it; sends the error response itself and returns null on failure
+async function loadMedia(req, res, needs) {
+    const asset = resolveAsset(req.params.id, req.user);
+    if (!asset) {
+        res.status(404).json({ error: 'Asset not found' });
+        return null;
+    }
+    let media;
+    try {
+        media = await probeBasics(asset.path);
+    } catch (e) {
+        res.status(422).json({ error: 'Could not read media', details: probeErrorMessage(e) });
+        return null;
+    }
+    if (needs === 'video' && !media.hasVideo) {
+        res.status(422).json({ error: 'Asset has no video stream' });
+        return null;
+    }
+    if (needs === 'audio' && !media.hasAudio) {
+        res.status(422).json({ error: 'Asset has no audio stream' });
+        return null;
+    }
+    if (!media.duration) {
+        res.status(422).json({ error: 'Could not determine media duration' });
+        return null;
+    }
+    return { asset, media };
+}
+
+// ─── Poster Frame ───
+router.get('/media/:id/poster', async (req, res) => {
+    const width = intParam(req.query, 'width', 640, 16, 1920);
+    const time = req.query.time === undefined ? 0 : Number(req.query.time);
+    const error = firstError(width);
+    if (error) return res.status(400).json({ error });
+    if (!isFinite(time) || time < 0) return res.status(400).json({ error: 'time must be a non-negative number of seconds' });
+
+    const asset = resolveAsset(req.params.id, req.user);
+    if (!asset) return res.status(404).json({ error: 'Asset not found' });
+
+    const finalPath = cachePath(asset, 'poster', { time, width: width.value }, 'jpg');
+    if (fs.existsSync(finalPath)) return sendCached(res, finalPath, 'image/jpeg');
+
+    const loaded = await loadMedia(req, res, 'video');
+    if (!loaded) return;
+
+    // Seeking to (or past) the very end yields no frame, so stay just inside the clip
+    const seek = Math.max(0, Math.min(time, loaded.media.duration - 0.1));
+    const job = generateOnce(finalPath, 'poster', (job) => generatePoster(asset.path, finalPath, { time: seek, width: width.value }, job)
+        .then(() => ({ message: 'Poster generated' })), { assets: [asset.id] });
+    generationAccepted(res, job);
+});
+
+// ─── Effect Preview ───
+// The /filter and /text chains (or both) applied to one frame (jpg, png) or a short low-res clip (mp4),
+// so users can judge a look without re-encoding the whole video. Runs as a priority job and
+// answers with the file itself; a preview that takes longer than PREVIEW_WAIT_MS gets the
+// usual 202, and the same request returns the cached file once it is ready.
+const PREVIEW_TYPES = { jpg: 'image/jpeg', png: 'image/png', mp4: 'video/mp4' };
+const PREVIEW_WAIT_MS = 15000;
+const MAX_PREVIEW_CLIP_SECONDS = 3;
+
+router.post('/media/:id/preview', async (req, res) => {
+    const { filter, filters, text, fontSize, fontColor, x, y, startTime, endTime, layers } = req.body;
+    const format = req.body.format || 'jpg';
+    if (!Object.prototype.hasOwnProperty.call(PREVIEW_TYPES, format)) {
+        return res.status(400).json({ error: `format must be one of: ${Object.keys(PREVIEW_TYPES).join(', ')}` });
+    }
+    const clip = format === 'mp4';
+    const width = intParam(req.body, 'width', clip ? 320 : 640, 16, clip ? 640 : 1920);
+    const error = firstError(width);
+    if (error) return res.status(400).json({ error });
+    const time = req.body.time === undefined ? 0 : Number(req.body.time);
+    if (!isFinite(time) || time < 0) return res.status(400).json({ error: 'time must be a non-negative number of seconds' });
+    const duration = req.body.duration === undefined ? 2 : Number(req.body.duration);
+    if (clip && !(duration > 0 && duration <= MAX_PREVIEW_CLIP_SECONDS)) {
+        return res.status(400).json({ error: `duration must be between 0 and ${MAX_PREVIEW_CLIP_SECONDS} seconds` });
+    }
+
+    if (!filter && !filters && text === undefined && layers === undefined) {
+        return res.status(400).json({ error: 'filter, filters, text or layers required' });
+    }
+    const chain = [];
+    if (filter || filters) {
+        const compiled = compileFilterStack(filters !== undefined ? filters : [filter], { user: req.user });
+        if (compiled.errors) return res.status(400).json({ error: 'Invalid filter', details: compiled.errors });
+        chain.push(...compiled.filters);
+    }
+    if (text !== undefined || layers !== undefined) {
+        const compiled = compileTextLayers(layers !== undefined ? layers : [{ text, fontSize, fontColor, x, y, startTime, endTime }], req.user);
+        if (compiled.errors) return res.status(400).json({ error: 'Invalid text layers', details: compiled.errors });
+        chain.push(...compiled.filters);
+    }
+
+    const asset = resolveAsset(req.params.id, req.user);
+    if (!asset) return res.status(404).json({ error: 'Asset not found' });
+
+    // x264 needs an even width
+    const params = { time, width: clip ? width.value - (width.value % 2) : width.value, filters: chain, clip, duration };
+    const finalPath = cachePath(asset, 'preview', params, format);
+    if (fs.existsSync(finalPath)) return sendCached(res, finalPath, PREVIEW_TYPES[format]);
+
+    const loaded = await loadMedia(req, res, 'video');
+    if (!loaded) return;
+
+    const seek = Math.max(0, Math.min(time, loaded.media.duration - 0.1));
+    const job = generateOnce(finalPath, 'preview', (job) => generatePreview(asset.path, finalPath, { ...params, time: seek }, job)
+        .then(() => ({ message: 'Preview rendered' })), { priority: 'high', assets: [asset.id] });
+
+    let timer;
+    const timeout = new Promise((resolve) => {
+        timer = setTimeout(resolve, PREVIEW_WAIT_MS, 'timeout');
+    });
+    try {
+        const outcome = await Promise.race([jobResult(job), timeout]);
+        if (outcome === 'timeout') return generationAccepted(res, job);
+        sendCached(res, finalPath, PREVIEW_TYPES[format]);
+    } catch (e) {
+        res.status(500).json({ error: 'Preview failed', details: e.message });
+    } finally {
+        clearTimeout(timer);
+    }
+});
+
+// ─── Filmstrip Sprite + WebVTT track ───
+function spriteParams(query) {
+    const count = intParam(query, 'count', SPRITE_DEFAULTS.count, 1, SPRITE_MAX.count);
+    const columns = intParam(query, 'columns', SPRITE_DEFAULTS.columns, 1, SPRITE_MAX.columns);
+    const width = intParam(query, 'width', SPRITE_DEFAULTS.width, 16, SPRITE_MAX.width);
+    const error = firstError(count, columns, width);
+    if (error) return { error };
+    return { params: { count: count.value, columns: columns.value, width: width.value } };
+}
+
+// The cached track names the sprite by its plain URL and is shared between users, so
+// with API keys each response gets a copy whose cues carry the caller's signed URL
+async function sendSpriteVtt(req, res, vttPath, spritePathname, query) {
+    if (!authEnabled) return sendCached(res, vttPath, 'text/vtt');
+    let vtt;
+    try {
+        vtt = await fs.promises.readFile(vttPath, 'utf8');
+    } catch (e) {
+        return res.status(404).json({ error: 'Thumbnail track not found' });
+    }
+    res.set('Cache-Control', 'private, no-cache');
+    res.type('text/vtt').send(withSpriteUrl(vtt, `${signUrl(spritePathname, req.user)}&${query}`));
+}
+
+async function handleSprite(req, res, wantVtt) {
+    const { params, error } = spriteParams(req.query);
+    if (error) return res.status(400).json({ error });
+
+    const asset = resolveAsset(req.params.id, req.user);
+    if (!asset) return res.status(404).json({ error: 'Asset not found' });
+
+    const query = new URLSearchParams({ count: params.count, columns: params.columns, width: params.width });
+    const spritePathname = `/api/media/${encodeURIComponent(asset.id)}/sprite`;
+    const spritePath = cachePath(asset, 'sprite', params, 'jpg');
+    const vttPath = cachePath(asset, 'sprite', params, 'vtt');
+    if (fs.existsSync(spritePath) && fs.existsSync(vttPath)) {
+        return wantVtt ? sendSpriteVtt(req, res, vttPath, spritePathname, query) : sendCached(res, spritePath, 'image/jpeg');
+    }
+
+    const loaded = await loadMedia(req, res, 'video');
+    if (!loaded) return;
+
+    const spriteUrl = `${spritePathname}?${query}`;
+    const job = generateOnce(spritePath, 'sprite', (job) => generateSprite(asset.path, spritePath, vttPath, params, loaded.media, spriteUrl, job)
+        .then(() => ({ message: `Sprite of ${params.count} thumbnails generated` })), { assets: [asset.id] });
+    generationAccepted(res, job);
+}
+
+router.get('/media/:id/sprite', (req, res) => handleSprite(req, res, false));
+router.get('/media/:id/sprite.vtt', (req, res) => handleSprite(req, res, true));
+
+// ─── Waveform Image ───
+router.get('/media/:id/waveform.png', async (req, res) => {
+    const width = intParam(req.query, 'width', 1200, 16, 4000);
+    const height = intParam(req.query, 'height', 120, 16, 1000);
+    const error = firstError(width, height);
+    if (error) return res.status(400).json({ error });
+
+    const color = String(req.query.color || '3b82f6').replace(/^#/, '').toLowerCase();
+    if (!/^[0-9a-f]{6}$/.test(color)) return res.status(400).json({ error: 'color must be a hex color like 3b82f6' });
+
+    const asset = resolveAsset(req.params.id, req.user);
+    if (!asset) return res.status(404).json({ error: 'Asset not found' });
+
+    const params = { width: width.value, height: height.value, color: `0x${color}` };
+    const finalPath = cachePath(asset, 'waveform', params, 'png');
+    if (fs.existsSync(finalPath)) return sendCached(res, finalPath, 'image/png');
+
+    const loaded = await loadMedia(req, res, 'audio');
+    if (!loaded) return;
+
+    const job = generateOnce(finalPath, 'waveform', (job) => generateWaveformImage(asset.path, finalPath, params, job)
+        .then(() => ({ message: 'Waveform image generated' })), { assets: [asset.id] });
+    generationAccepted(res, job);
+});
+
+// ─── Waveform Peaks (JSON) ───
+router.get('/media/:id/waveform.json', async (req, res) => {
+    const points = intParam(req.query, 'points', 1000, 10, 20000);
+    const error = firstError(points);
+    if (error) return res.status(400).json({ error });
+
+    const asset = resolveAsset(req.params.id, req.user);
+    if (!asset) return res.status(404).json({ error: 'Asset not found' });
+
+    const params = { points: points.value };
+    const finalPath = cachePath(asset, 'peaks', params, 'json');
+    if (fs.existsSync(finalPath)) return sendCached(res, finalPath, 'application/json');
+
+    const loaded = await loadMedia(req, res, 'audio');
+    if (!loaded) return;
+
+    const job = generateOnce(finalPath, 'waveform', (job) => generateWaveformPeaks(asset.path, finalPath, params, loaded.media, job)
+        .then(() => ({ message: 'Waveform data generated' })), { assets: [asset.id] });
+    generationAccepted(res, job);
+});
+
+// ─── Analysis: scene changes and silent ranges (JSON) ───
+// Same caching and 202 flow as the waveform data above
+
+function writeCachedJson(finalPath, data) {
+    const tmp = tempPath(finalPath);
+    fs.writeFileSync(tmp, JSON.stringify(data));
+    commitTemp(tmp, finalPath);
+}
+
+router.get('/media/:id/scenes.json', async (req, res) => {
+    const threshold = numberParam(req.query, 'threshold', SCENE_DEFAULTS.threshold, 0.01, 1);
+    const error = firstError(threshold);
+    if (error) return res.status(400).json({ error });
+
+    const asset = resolveAsset(req.params.id, req.user);
+    if (!asset) return res.status(404).json({ error: 'Asset not found' });
+
+    const params = { threshold: threshold.value };
+    const finalPath = cachePath(asset, 'scenes', params, 'json');
+    if (fs.existsSync(finalPath)) return sendCached(res, finalPath, 'application/json');
+
+    const loaded = await loadMedia(req, res, 'video');
+    if (!loaded) return;
+
+    const job = generateOnce(finalPath, 'analysis', (job) => detectScenes(asset.path, params, job)
+        .then((scenes) => {
+            writeCachedJson(finalPath, { assetId: asset.id, ...params, duration: loaded.media.duration, scenes });
+            return { message: `${scenes.length} scene change(s) detected` };
+        }), { assets: [asset.id] });
+    generationAccepted(res, job);
+});
+
+router.get('/media/:id/silences.json', async (req, res) => {
+    const noise = numberParam(req.query, 'noise', SILENCE_DEFAULTS.noise, -90, 0);
+    const minDuration = numberParam(req.query, 'minDuration', SILENCE_DEFAULTS.minDuration, 0.05, 60);
+    const error = firstError(noise, minDuration);
+    if (error) return res.status(400).json({ error });
+
+    const asset = resolveAsset(req.params.id, req.user);
+    if (!asset) return res.status(404).json({ error: 'Asset not found' });
+
+    const params = { noise: noise.value, minDuration: minDuration.value };
+    const finalPath = cachePath(asset, 'silences', params, 'json');
+    if (fs.existsSync(finalPath)) return sendCached(res, finalPath, 'application/json');
+
+    const loaded = await loadMedia(req, res, 'audio');
+    if (!loaded) return;
+
+    const { duration } = loaded.media;
+    const job = generateOnce(finalPath, 'analysis', (job) => detectSilences(asset.path, params, duration, job)
+        .then((silences) => {
+            writeCachedJson(finalPath, { assetId: asset.id, ...params, duration, silences });
+            return { message: `${silences.length} silent range(s) detected` };
+        }), { assets: [asset.id] });
+    generationAccepted(res, job);
+});
+
+module.exports = router;
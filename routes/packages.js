@@ -0,0 +1,113 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { enqueueJob, jobAccepted } = require('../lib/jobs');
+const { resolveAsset, assetOwner } = require('../lib/assets');
+const { probeBasics } = require('../lib/probe');
+const { mimeTypeFor } = require('../lib/formats');
+const { streamFile } = require('../lib/streaming');
+const { ownsRecord, signUrl, signedUrlExpiry } = require('../lib/access');
+const {
+    MANIFESTS,
+    getPackage,
+    packageFilePath,
+    validatePackageRequest,
+    fitRenditions,
+    writePackage,
+    registerPackage,
+    touchPackage,
+    withQuery
+} = require('../lib/packaging');
+
+const router = express.Router();
+
+// Manifest URLs for a package, signed for everything under /api/packages/<id>/ so a
+// player can follow them to the variant playlists and segments without an API key
+function packageUrls(pkg, user) {
+    const expiresAt = signedUrlExpiry();
+    const base = `/api/packages/${pkg.id}/`;
+    const urls = { expiresAt: new Date(expiresAt).toISOString() };
+    for (const format of pkg.formats) {
+        urls[`${format}Url`] = signUrl(`${base}${MANIFESTS[format]}`, user, expiresAt, base);
+    }
+    return urls;
+}
+
+function requestPackage(req) {
+    const pkg = getPackage(req.params.id);
+    return pkg && ownsRecord(pkg, req.user) ? pkg : null;
+}
+
+// ─── Package an Asset for Adaptive Streaming (HLS, optionally DASH) ───
+// { filename, formats: ['hls', 'dash'], renditions: ['720p', '480p'] }; see config/packaging.js
+router.post('/package', (req, res) => {
+    const { filename, formats = ['hls'], renditions } = req.body;
+    if (!filename) return res.status(400).json({ error: 'filename required' });
+    const errors = validatePackageRequest({ formats, renditions });
+    if (errors.length > 0) return res.status(400).json({ error: 'Invalid package request', details: errors });
+
+    const input = resolveAsset(filename, req.user);
+    if (!input) return res.status(404).json({ error: 'Input file not found' });
+
+    const packageId = uuidv4();
+    const owner = assetOwner(input.id);
+    console.log(`📺 Package ${input.id} as ${formats.join(' + ')}`);
+
+    const job = enqueueJob('package', async (job) => {
+        const media = await probeBasics(input.path);
+        if (!media.hasVideo) throw new Error('Input has no video stream');
+        if (!media.height) throw new Error('Could not determine input resolution');
+
+        const ladder = fitRenditions(renditions, media.height);
+        await writePackage(packageId, input.path, { renditions: ladder, formats, hasAudio: media.hasAudio }, job);
+        // Cancelled or timed out as FFmpeg finished: leave it unregistered for the sweep to remove
+        if (job.stopped) throw new Error(job.stopped.reason);
+        const pkg = registerPackage({ id: packageId, source: input.id, owner, formats, renditions: ladder });
+        console.log(`  📺 Package complete: ${packageId} (${ladder.map(r => r.name).join(', ')})`);
+        return {
+            packageId,
+            renditions: pkg.renditions,
+            ...packageUrls(pkg, owner),
+            message: `Packaged ${ladder.length} rendition(s) as ${formats.join(' + ')}`
+        };
+    }, { priority: 'low', assets: [input.id] });
+    jobAccepted(res, job);
+});
+
+// ─── Package Info (with freshly signed manifest URLs) ───
+router.get('/packages/:id', (req, res) => {
+    const pkg = requestPackage(req);
+    if (!pkg) return res.status(404).json({ error: 'Package not found' });
+    res.json({ ...pkg, ...packageUrls(pkg, req.user) });
+});
+
+// ─── Manifests and Segments ───
+// Manifests requested through a signed URL are rewritten to carry the same signature,
+// since players resolve the URIs inside them relative to the manifest and drop the query
+router.get('/packages/:id/*', async (req, res) => {
+    const pkg = requestPackage(req);
+    if (!pkg) return res.status(404).json({ error: 'Package not found' });
+    const filePath = packageFilePath(pkg, req.params[0]);
+    if (!filePath) return res.status(404).json({ error: 'File not found' });
+
+    touchPackage(pkg);
+    const contentType = mimeTypeFor(filePath);
+    const ext = path.extname(filePath).slice(1);
+    const { expires, user, scope, signature } = req.query;
+    if (typeof scope !== 'string' || typeof signature !== 'string' || (ext !== 'm3u8' && ext !== 'mpd')) {
+        return streamFile(req, res, filePath, { contentType });
+    }
+
+    let manifest;
+    try {
+        manifest = await fs.promises.readFile(filePath, 'utf8');
+    } catch (e) {
+        return res.status(404).json({ error: 'File not found' });
+    }
+    const query = new URLSearchParams({ expires: String(expires), ...(user ? { user: String(user) } : {}), scope, signature }).toString();
+    res.set('Cache-Control', 'private, no-cache');
+    res.type(contentType).send(withQuery(manifest, ext, query));
+});
+
+module.exports = router;
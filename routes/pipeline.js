@@ -0,0 +1,97 @@
+const express = require('express');
+const ffmpeg = require('fluent-ffmpeg');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { enqueueJob, jobAccepted } = require('../lib/jobs');
+const { PROCESSED_DIR, resolveAsset, registerOutput } = require('../lib/assets');
+const { safeDelete } = require('../lib/ffmpeg');
+const { getPreset, presetVideoFilters, presetOutputOptions } = require('../lib/presets');
+const { resolveOutputFormat } = require('../lib/formats');
+const { validatePipeline, compilePipeline } = require('../lib/pipeline');
+const { probeBasics } = require('../lib/probe');
+
+const router = express.Router();
+
+// Output duration of the pipeline, probing the input only when a fade-out needs it
+async function resolveOutputDuration(inputPath, plan) {
+    if (!plan.needsDuration) return plan.duration;
+    const media = await probeBasics(inputPath).catch(() => null);
+    const total = media && media.duration ? media.duration : 30;
+    return Math.max(0, total - plan.start);
+}
+
+// ─── Multi-step Edit Pipeline ───
+router.post('/pipeline', (req, res) => {
+    const { filename, steps, preset } = req.body;
+    if (!filename) return res.status(400).json({ error: 'filename required' });
+
+    const outputPreset = getPreset(preset);
+    if (!outputPreset) return res.status(400).json({ error: `Unknown preset: ${preset}` });
+
+    const { format: outputFormat, error: formatError } = resolveOutputFormat(req.body);
+    if (formatError) return res.status(400).json({ error: formatError });
+
+    const errors = validatePipeline(steps, req.user);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid pipeline', details: errors });
+    }
+
+    const input = resolveAsset(filename, req.user);
+    if (!input) {
+        return res.status(404).json({ error: 'Input file not found' });
+    }
+
+    const plan = compilePipeline(steps, req.user);
+    const outputFilename = `pipeline_${uuidv4()}.${outputFormat.extension}`;
+    const outputPath = path.join(PROCESSED_DIR, outputFilename);
+
+    console.log(`🧩 Pipeline (${steps.map(s => s.type).join(' → ')}) on: ${filename}`);
+
+    const job = enqueueJob('pipeline', async (job) => {
+        const duration = await resolveOutputDuration(input.path, plan);
+        return new Promise((resolve, reject) => {
+            const cmd = job.track(ffmpeg(input.path));
+            if (plan.start > 0) cmd.inputOptions(['-ss', String(plan.start)]);
+
+            cmd.videoFilters(presetVideoFilters(outputPreset, plan.videoFilters, outputFormat));
+
+            let outOpts;
+            if (plan.mute) {
+                cmd.noAudio();
+                outOpts = presetOutputOptions(outputPreset, { audio: false, format: outputFormat });
+            } else {
+                const audioFilters = plan.audioFilters(duration);
+                if (audioFilters.length > 0) cmd.audioFilters(audioFilters);
+                outOpts = presetOutputOptions(outputPreset, { format: outputFormat });
+            }
+            if (plan.duration > 0) {
+                outOpts.push('-t', String(plan.duration));
+            }
+
+            cmd.outputOptions(outOpts)
+                .output(outputPath)
+                .on('start', (commandLine) => {
+                    console.log('  🧩 FFmpeg command:', commandLine);
+                })
+                .on('progress', (progress) => {
+                    if (progress.percent) console.log(`  🧩 Pipeline progress: ${Math.round(progress.percent)}%`);
+                    job.progress(progress.percent);
+                })
+                .on('end', () => {
+                    console.log(`  🧩 Pipeline complete: ${outputFilename}`);
+                    const output = registerOutput(outputFilename, [input.id, ...new Set(plan.assets.map(a => a.id))], 'pipeline');
+                    resolve({ filename: outputFilename, assetId: output.id, message: `Pipeline of ${steps.length} step(s) applied successfully` });
+                })
+                .on('error', (err) => {
+                    console.error('Pipeline error:', err.message);
+                    safeDelete(outputPath);
+                    reject(new Error(`Failed to run pipeline: ${err.message}`));
+                })
+                .run();
+        });
+    }, { assets: [input.id, ...plan.assets.map(a => a.id)] });
+
+    jobAccepted(res, job);
+});
+
+module.exports = router;
@@ -0,0 +1,150 @@
+const express = require('express');
+const ffmpeg = require('fluent-ffmpeg');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { enqueueJob, jobAccepted } = require('../lib/jobs');
+const { PROCESSED_DIR, resolveAsset, registerOutput } = require('../lib/assets');
+const { safeDelete } = require('../lib/ffmpeg');
+const { probeBasics } = require('../lib/probe');
+const { getPreset, presetOutputOptions } = require('../lib/presets');
+const { GIF_PALETTE_FILTER, resolveOutputFormat } = require('../lib/formats');
+const { getProject, listProjects, createProject, updateProject, deleteProject } = require('../lib/projects');
+const { validateProject, projectAssetIds, compileTimeline } = require('../lib/timeline');
+const { ownsRecord } = require('../lib/access');
+
+const router = express.Router();
+
+// Only the timeline fields are stored; ids and timestamps are managed by the server
+function projectFields(body) {
+    return {
+        name: body.name || 'Untitled project',
+        settings: body.settings || {},
+        videoTracks: body.videoTracks,
+        audioTrack: body.audioTrack || { clips: [] },
+        textLayers: body.textLayers || []
+    };
+}
+
+// The project named in the URL, if the caller may use it
+function requestProject(req) {
+    const project = getProject(req.params.id);
+    return project && ownsRecord(project, req.user) ? project : null;
+}
+
+// ─── Project CRUD ───
+router.get('/projects', (req, res) => {
+    res.json({ projects: listProjects(req.user) });
+});
+
+router.post('/projects', (req, res) => {
+    const errors = validateProject(req.body, req.user);
+    if (errors.length > 0) return res.status(400).json({ error: 'Invalid project', details: errors });
+    res.status(201).json(createProject(projectFields(req.body), req.user));
+});
+
+router.get('/projects/:id', (req, res) => {
+    const project = requestProject(req);
+    if (!project) return res.status(404).json({ error: 'Project not found' });
+    res.json(project);
+});
+
+router.put('/projects/:id', (req, res) => {
+    if (!requestProject(req)) return res.status(404).json({ error: 'Project not found' });
+    const errors = validateProject(req.body, req.user);
+    if (errors.length > 0) return res.status(400).json({ error: 'Invalid project', details: errors });
+    res.json(updateProject(req.params.id, projectFields(req.body)));
+});
+
+router.delete('/projects/:id', (req, res) => {
+    if (!requestProject(req) || !deleteProject(req.params.id)) return res.status(404).json({ error: 'Project not found' });
+    res.json({ success: true });
+});
+
+// ─── Render Project ───
+router.post('/projects/:id/render', (req, res) => {
+    const project = requestProject(req);
+    if (!project) return res.status(404).json({ error: 'Project not found' });
+
+    // The project settings define the canvas; the preset only picks the encoder settings
+    const { preset } = req.body;
+    const outputPreset = getPreset(preset);
+    if (!outputPreset) return res.status(400).json({ error: `Unknown preset: ${preset}` });
+
+    const { format: outputFormat, error: formatError } = resolveOutputFormat(req.body);
+    if (formatError) return res.status(400).json({ error: formatError });
+
+    const assetIds = projectAssetIds(project);
+    const assets = new Map();
+    const missing = [];
+    for (const ref of assetIds) {
+        const asset = resolveAsset(ref, req.user);
+        if (asset) assets.set(ref, asset);
+        else missing.push(ref);
+    }
+    if (missing.length > 0) {
+        return res.status(404).json({ error: 'Assets not found', details: [...new Set(missing)] });
+    }
+
+    const outputFilename = `render_${uuidv4()}.${outputFormat.extension}`;
+    const outputPath = path.join(PROCESSED_DIR, outputFilename);
+
+    console.log(`🎞️ Rendering project '${project.name}' (${assetIds.length} asset reference(s))`);
+
+    const job = enqueueJob('render', async (job) => {
+        // Probe every asset once so the compiler knows which clips carry audio (unreadable ones, fonts included, carry nothing)
+        const probed = await Promise.all([...assets.values()].map(async (asset) => {
+            const { hasVideo, hasAudio } = await probeBasics(asset.path).catch(() => ({ hasVideo: false, hasAudio: false }));
+            return [asset.id, { path: asset.path, hasVideo, hasAudio }];
+        }));
+        const byAssetId = Object.fromEntries(probed);
+        // Keyed by the reference used in the project so the compiler can look clips up directly
+        const media = {};
+        for (const [ref, asset] of assets) media[ref] = byAssetId[asset.id];
+
+        project.videoTracks.forEach(track => track.clips.forEach(clip => {
+            if (!media[clip.asset].hasVideo) throw new Error(`Asset has no video stream: ${clip.asset}`);
+        }));
+        ((project.audioTrack && project.audioTrack.clips) || []).forEach(clip => {
+            if (!media[clip.asset].hasAudio) throw new Error(`Asset has no audio stream: ${clip.asset}`);
+        });
+
+        const graph = compileTimeline(project, media, req.user);
+        if (outputFormat.videoCodec === 'gif') {
+            // GIFs have no audio: palette pass on the video, discard the mixed audio
+            graph.filters.push(`[vout]${GIF_PALETTE_FILTER}[vgif]`, '[aout]anullsink');
+            graph.outputs = ['vgif'];
+        }
+
+        return new Promise((resolve, reject) => {
+            const cmd = job.track(ffmpeg());
+            graph.inputs.forEach(input => cmd.input(input));
+
+            cmd.complexFilter(graph.filters.join(';'), graph.outputs)
+                .outputOptions([...presetOutputOptions(outputPreset, { format: outputFormat }), '-t', String(graph.duration)])
+                .output(outputPath)
+                .on('start', (commandLine) => {
+                    console.log('  🎞️ FFmpeg command:', commandLine);
+                })
+                .on('progress', (progress) => {
+                    if (progress.percent) console.log(`  🎞️ Render progress: ${Math.round(progress.percent)}%`);
+                    job.progress(progress.percent);
+                })
+                .on('end', () => {
+                    console.log(`  🎞️ Render complete: ${outputFilename}`);
+                    const parents = [...new Set([...assets.values()].map(a => a.id))];
+                    const output = registerOutput(outputFilename, parents, 'render');
+                    resolve({ filename: outputFilename, assetId: output.id, projectId: project.id, message: 'Project rendered successfully' });
+                })
+                .on('error', (err) => {
+                    console.error('Render error:', err.message);
+                    safeDelete(outputPath);
+                    reject(new Error(`Failed to render project: ${err.message}`));
+                })
+                .run();
+        });
+    }, { priority: 'low', assets: [...assets.values()].map(a => a.id) });
+
+    jobAccepted(res, job);
+});
+
+module.exports = router;
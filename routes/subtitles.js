@@ -0,0 +1,197 @@
+const express = require('express');
+const ffmpeg = require('fluent-ffmpeg');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { enqueueJob, jobAccepted } = require('../lib/jobs');
+const { PROCESSED_DIR, resolveAsset, registerOutput } = require('../lib/assets');
+const { signUrl } = require('../lib/access');
+const { safeDelete } = require('../lib/ffmpeg');
+const { getPreset, presetVideoFilters, presetOutputOptions } = require('../lib/presets');
+const { resolveOutputFormat } = require('../lib/formats');
+const { probeMedia, probeErrorMessage } = require('../lib/probe');
+const {
+    SUBTITLE_FORMATS,
+    BITMAP_SUBTITLE_CODECS,
+    isSubtitleFile,
+    muxSubtitleCodec,
+    buildSubtitlesFilter
+} = require('../lib/subtitles');
+
+const router = express.Router();
+
+// Subtitle files are uploaded through POST /api/upload like any other asset.
+
+// Resolve `subtitle` from the body and make sure it is a subtitle file; sends the error itself
+function resolveSubtitle(req, res) {
+    const subtitle = resolveAsset(req.body.subtitle, req.user);
+    if (!subtitle) {
+        res.status(404).json({ error: 'Subtitle file not found' });
+        return null;
+    }
+    if (!isSubtitleFile(subtitle.filename)) {
+        res.status(400).json({ error: 'subtitle must be an SRT, VTT or ASS file' });
+        return null;
+    }
+    return subtitle;
+}
+
+// ─── Burn In Subtitles (re-encode) ───
+router.post('/subtitles/burn', (req, res) => {
+    const { filename, subtitle, style, preset } = req.body;
+    if (!filename || !subtitle) return res.status(400).json({ error: 'filename and subtitle required' });
+
+    const outputPreset = getPreset(preset);
+    if (!outputPreset) return res.status(400).json({ error: `Unknown preset: ${preset}` });
+
+    const { format: outputFormat, error: formatError } = resolveOutputFormat(req.body);
+    if (formatError) return res.status(400).json({ error: formatError });
+
+    const input = resolveAsset(filename, req.user);
+    if (!input) return res.status(404).json({ error: 'Input file not found' });
+    const subs = resolveSubtitle(req, res);
+    if (!subs) return;
+
+    const { filter, error: styleError } = buildSubtitlesFilter(subs.path, style || {});
+    if (styleError) return res.status(400).json({ error: styleError });
+
+    const outputFilename = `subtitled_${uuidv4()}.${outputFormat.extension}`;
+    const outputPath = path.join(PROCESSED_DIR, outputFilename);
+
+    console.log(`💬 Burning subtitles ${subs.filename} into: ${filename}`);
+
+    const job = enqueueJob('subtitles-burn', (job) => new Promise((resolve, reject) => {
+        job.track(ffmpeg(input.path))
+            .videoFilters(presetVideoFilters(outputPreset, [filter], outputFormat))
+            .outputOptions(presetOutputOptions(outputPreset, { format: outputFormat }))
+            .output(outputPath)
+            .on('progress', (progress) => {
+                if (progress.percent) console.log(`  💬 Burn-in progress: ${Math.round(progress.percent)}%`);
+                job.progress(progress.percent);
+            })
+            .on('end', () => {
+                console.log(`  💬 Burn-in complete: ${outputFilename}`);
+                const output = registerOutput(outputFilename, [input.id, subs.id], 'subtitles-burn');
+                resolve({ filename: outputFilename, assetId: output.id, message: 'Subtitles burned in successfully' });
+            })
+            .on('error', (err) => {
+                console.error('Subtitle burn-in error:', err.message);
+                safeDelete(outputPath);
+                reject(new Error(`Failed to burn in subtitles: ${err.message}`));
+            })
+            .run();
+    }), { assets: [input.id, subs.id] });
+
+    jobAccepted(res, job);
+});
+
+// ─── Add Soft Subtitle Track (no re-encode) ───
+router.post('/subtitles/mux', (req, res) => {
+    const { filename, subtitle, language, title } = req.body;
+    if (!filename || !subtitle) return res.status(400).json({ error: 'filename and subtitle required' });
+    if (language !== undefined && !/^[a-z]{2,3}$/.test(String(language))) {
+        return res.status(400).json({ error: 'language must be an ISO 639 code such as en or eng' });
+    }
+
+    const input = resolveAsset(filename, req.user);
+    if (!input) return res.status(404).json({ error: 'Input file not found' });
+    const subs = resolveSubtitle(req, res);
+    if (!subs) return;
+
+    // Streams are copied, so the output keeps the source container
+    const container = path.extname(input.filename).slice(1).toLowerCase();
+    const subtitleCodec = muxSubtitleCodec(container, subs.filename);
+    if (!subtitleCodec) {
+        return res.status(400).json({ error: 'Soft subtitles need an MP4, MOV, MKV or WebM video; export it to one of those first' });
+    }
+
+    const outputFilename = `subtitled_${uuidv4()}.${container}`;
+    const outputPath = path.join(PROCESSED_DIR, outputFilename);
+
+    const options = ['-map', '0:v?', '-map', '0:a?', '-map', '1:0', '-c:v', 'copy', '-c:a', 'copy', '-c:s', subtitleCodec,
+        '-disposition:s:0', 'default'];
+    if (language) options.push('-metadata:s:s:0', `language=${language}`);
+    if (title) options.push('-metadata:s:s:0', `title=${String(title).slice(0, 100)}`);
+    if (container !== 'mkv' && container !== 'webm') options.push('-movflags', '+faststart');
+
+    console.log(`💬 Muxing subtitle track ${subs.filename} into: ${filename}`);
+
+    const job = enqueueJob('subtitles-mux', (job) => new Promise((resolve, reject) => {
+        job.track(ffmpeg(input.path))
+            .input(subs.path)
+            .outputOptions(options)
+            .output(outputPath)
+            .on('progress', (progress) => job.progress(progress.percent))
+            .on('end', () => {
+                console.log(`  💬 Subtitle mux complete: ${outputFilename}`);
+                const output = registerOutput(outputFilename, [input.id, subs.id], 'subtitles-mux');
+                resolve({ filename: outputFilename, assetId: output.id, message: 'Subtitle track added successfully' });
+            })
+            .on('error', (err) => {
+                console.error('Subtitle mux error:', err.message);
+                safeDelete(outputPath);
+                reject(new Error(`Failed to add subtitle track: ${err.message}`));
+            })
+            .run();
+    }), { assets: [input.id, subs.id] });
+
+    jobAccepted(res, job);
+});
+
+// ─── Extract Embedded Subtitles ───
+router.post('/subtitles/extract', async (req, res) => {
+    const { filename, track = 0, format = 'srt' } = req.body;
+    if (!filename) return res.status(400).json({ error: 'filename required' });
+
+    const subtitleFormat = SUBTITLE_FORMATS[String(format).toLowerCase()];
+    if (!subtitleFormat) return res.status(400).json({ error: `format must be one of: ${Object.keys(SUBTITLE_FORMATS).join(', ')}` });
+    if (!Number.isInteger(track) || track < 0) return res.status(400).json({ error: 'track must be a non-negative integer' });
+
+    const input = resolveAsset(filename, req.user);
+    if (!input) return res.status(404).json({ error: 'Input file not found' });
+
+    let streams;
+    try {
+        streams = (await probeMedia(input.path)).streams.filter(s => s.type === 'subtitle');
+    } catch (e) {
+        return res.status(422).json({ error: 'Could not read media', details: probeErrorMessage(e) });
+    }
+    if (streams.length === 0) return res.status(422).json({ error: 'Asset has no subtitle tracks' });
+    const stream = streams[track];
+    if (!stream) return res.status(400).json({ error: `track must be between 0 and ${streams.length - 1}` });
+    if (BITMAP_SUBTITLE_CODECS.includes(stream.codec)) {
+        return res.status(422).json({ error: `Subtitle track ${track} is image-based (${stream.codec}) and can't be converted to text` });
+    }
+
+    const outputFilename = `subs_${uuidv4()}.${subtitleFormat.extension}`;
+    const outputPath = path.join(PROCESSED_DIR, outputFilename);
+
+    console.log(`💬 Extracting subtitle track ${track} from: ${filename}`);
+
+    const job = enqueueJob('subtitles-extract', (job) => new Promise((resolve, reject) => {
+        job.track(ffmpeg(input.path))
+            .outputOptions(['-map', `0:${stream.index}`, '-c:s', subtitleFormat.codec])
+            .output(outputPath)
+            .on('progress', (progress) => job.progress(progress.percent))
+            .on('end', () => {
+                console.log(`  💬 Subtitle extraction complete: ${outputFilename}`);
+                const output = registerOutput(outputFilename, [input.id], 'subtitles-extract');
+                resolve({
+                    filename: outputFilename,
+                    assetId: output.id,
+                    language: stream.language,
+                    downloadUrl: signUrl(`/api/export/${encodeURIComponent(output.id)}`, req.user),
+                    message: 'Subtitles extracted successfully'
+                });
+            })
+            .on('error', (err) => {
+                console.error('Subtitle extraction error:', err.message);
+                safeDelete(outputPath);
+                reject(new Error(`Failed to extract subtitles: ${err.message}`));
+            })
+            .run();
+    }), { assets: [input.id] });
+
+    jobAccepted(res, job);
+});
+
+module.exports = router;
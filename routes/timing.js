@@ -0,0 +1,222 @@
+const express = require('express');
+const ffmpeg = require('fluent-ffmpeg');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { enqueueJob, jobAccepted } = require('../lib/jobs');
+const { PROCESSED_DIR, resolveAsset, registerOutput } = require('../lib/assets');
+const { safeDelete } = require('../lib/ffmpeg');
+const { getPreset, presetScaleFilter, presetOutputOptions } = require('../lib/presets');
+const { GIF_PALETTE_FILTER, resolveOutputFormat } = require('../lib/formats');
+const { probeBasics } = require('../lib/probe');
+const {
+    MIN_SPEED,
+    MAX_SPEED,
+    MAX_REVERSE_SECONDS,
+    MAX_FREEZE_SECONDS,
+    parseTimeRange,
+    buildSpeedGraph,
+    buildReverseGraph,
+    buildFreezeGraph,
+    buildKeepGraph
+} = require('../lib/timing');
+const { SILENCE_DEFAULTS, DEFAULT_CUT_PADDING, detectSilences, rangesWithoutSilence } = require('../lib/analysis');
+
+const router = express.Router();
+
+// Shared request handling for the timing operations: preset, format and input lookup.
+// Sends the error response itself and returns null on failure.
+function prepare(req, res) {
+    const { filename, preset } = req.body;
+    if (!filename) {
+        res.status(400).json({ error: 'filename required' });
+        return null;
+    }
+    const outputPreset = getPreset(preset);
+    if (!outputPreset) {
+        res.status(400).json({ error: `Unknown preset: ${preset}` });
+        return null;
+    }
+    const { format: outputFormat, error: formatError } = resolveOutputFormat(req.body);
+    if (formatError) {
+        res.status(400).json({ error: formatError });
+        return null;
+    }
+    const input = resolveAsset(filename, req.user);
+    if (!input) {
+        res.status(404).json({ error: 'Input file not found' });
+        return null;
+    }
+    return { input, outputPreset, outputFormat };
+}
+
+function validRange(body) {
+    for (const key of ['startTime', 'endTime']) {
+        if (body[key] !== undefined && !(Number(body[key]) >= 0)) return `${key} must be a non-negative number of seconds`;
+    }
+    return null;
+}
+
+/**
+ * Queue a timing job. `build(media, job)` receives the probed input and returns (or
+ * resolves to) `{ filters, duration, details, progressBase }` with [vout]/[aout] labels
+ * (see lib/timing.js), or throws to fail the job. `details` are added to the job result;
+ * `progressBase` is the percentage already reported by an analysis pass in build.
+ * `scaled` means the graph already applied the preset scale.
+ */
+function enqueueTimingJob(type, label, { input, outputPreset, outputFormat }, build, { scaled = false } = {}) {
+    const outputFilename = `${type}_${uuidv4()}.${outputFormat.extension}`;
+    const outputPath = path.join(PROCESSED_DIR, outputFilename);
+
+    return enqueueJob(type, async (job) => {
+        const media = await probeBasics(input.path);
+        if (!media.hasVideo) throw new Error('Input has no video stream');
+        if (!media.duration) throw new Error('Could not determine input duration');
+
+        const graph = await build(media, job);
+        const progressBase = graph.progressBase || 0;
+        const filters = [...graph.filters];
+        let video = 'vout';
+        const scale = scaled ? null : presetScaleFilter(outputPreset);
+        if (scale) {
+            filters.push(`[${video}]${scale}[scaled]`);
+            video = 'scaled';
+        }
+        const outputs = [];
+        if (outputFormat.videoCodec === 'gif') {
+            filters.push(`[${video}]${GIF_PALETTE_FILTER}[vgif]`);
+            if (media.hasAudio) filters.push('[aout]anullsink');
+            outputs.push('vgif');
+        } else {
+            outputs.push(video);
+            if (media.hasAudio) outputs.push('aout');
+        }
+
+        return new Promise((resolve, reject) => {
+            job.track(ffmpeg(input.path))
+                .complexFilter(filters.join(';'), outputs)
+                .outputOptions(presetOutputOptions(outputPreset, { audio: media.hasAudio, format: outputFormat }))
+                .output(outputPath)
+                .on('start', (commandLine) => {
+                    console.log('  ⏱️ FFmpeg command:', commandLine);
+                })
+                .on('progress', (progress) => {
+                    if (progress.percent) console.log(`  ⏱️ ${label} progress: ${Math.round(progress.percent)}%`);
+                    if (progress.percent) job.progress(progressBase + progress.percent * (100 - progressBase) / 100);
+                })
+                .on('end', () => {
+                    console.log(`  ⏱️ ${label} complete: ${outputFilename}`);
+                    const output = registerOutput(outputFilename, [input.id], type);
+                    resolve({
+                        filename: outputFilename,
+                        assetId: output.id,
+                        duration: Math.round(graph.duration * 1000) / 1000,
+                        ...graph.details,
+                        message: `${label} applied successfully`
+                    });
+                })
+                .on('error', (err) => {
+                    console.error(`${label} error:`, err.message);
+                    safeDelete(outputPath);
+                    reject(new Error(`Failed to apply ${label.toLowerCase()}: ${err.message}`));
+                })
+                .run();
+        });
+    }, { assets: [input.id] });
+}
+
+// ─── Speed Change (whole clip or a range) ───
+router.post('/speed', (req, res) => {
+    const speed = Number(req.body.speed);
+    if (!(speed >= MIN_SPEED && speed <= MAX_SPEED)) {
+        return res.status(400).json({ error: `speed must be between ${MIN_SPEED} and ${MAX_SPEED}` });
+    }
+    const rangeError = validRange(req.body);
+    if (rangeError) return res.status(400).json({ error: rangeError });
+
+    const ctx = prepare(req, res);
+    if (!ctx) return;
+
+    const { start, end } = parseTimeRange(req.body);
+    console.log(`⏱️ Speed ${speed}x on ${req.body.filename} from ${start}s to ${end || 'end'}`);
+
+    const job = enqueueTimingJob('speed', 'Speed change', ctx, (media) => {
+        if (start >= media.duration) throw new Error(`startTime is past the end of the clip (${media.duration}s)`);
+        return buildSpeedGraph({ start, end, speed }, media);
+    });
+    jobAccepted(res, job);
+});
+
+// ─── Reverse Playback (short clips) ───
+router.post('/reverse', (req, res) => {
+    const rangeError = validRange(req.body);
+    if (rangeError) return res.status(400).json({ error: rangeError });
+
+    const ctx = prepare(req, res);
+    if (!ctx) return;
+
+    const { start, end } = parseTimeRange(req.body);
+    console.log(`⏱️ Reversing ${req.body.filename} from ${start}s to ${end || 'end'}`);
+
+    const job = enqueueTimingJob('reverse', 'Reverse', ctx, (media) => {
+        const length = (end > start && end < media.duration ? end : media.duration) - start;
+        if (length <= 0) throw new Error(`startTime is past the end of the clip (${media.duration}s)`);
+        if (length > MAX_REVERSE_SECONDS) {
+            throw new Error(`Reverse is limited to ${MAX_REVERSE_SECONDS}s; trim the clip or pass startTime/endTime`);
+        }
+        return buildReverseGraph({ start, end }, media, presetScaleFilter(ctx.outputPreset));
+    }, { scaled: true });
+    jobAccepted(res, job);
+});
+
+// ─── Freeze Frame ───
+router.post('/freeze', (req, res) => {
+    const { time, duration } = req.body;
+    if (!(Number(time) >= 0)) return res.status(400).json({ error: 'time must be a non-negative number of seconds' });
+    if (!(Number(duration) > 0 && Number(duration) <= MAX_FREEZE_SECONDS)) {
+        return res.status(400).json({ error: `duration must be between 0 and ${MAX_FREEZE_SECONDS} seconds` });
+    }
+
+    const ctx = prepare(req, res);
+    if (!ctx) return;
+
+    console.log(`⏱️ Freezing ${req.body.filename} at ${time}s for ${duration}s`);
+
+    const job = enqueueTimingJob('freeze', 'Freeze frame', ctx,
+        (media) => buildFreezeGraph({ time: Number(time), holdDuration: Number(duration) }, media));
+    jobAccepted(res, job);
+});
+
+// ─── Silence Removal ───
+// Cuts out every range quieter than `noise` dB that lasts at least `minDuration` seconds,
+// leaving `padding` seconds of it on each side of the cut
+router.post('/remove-silence', (req, res) => {
+    const {
+        noise = SILENCE_DEFAULTS.noise,
+        minDuration = SILENCE_DEFAULTS.minDuration,
+        padding = DEFAULT_CUT_PADDING
+    } = req.body;
+    if (!(Number(noise) >= -90 && Number(noise) <= 0)) return res.status(400).json({ error: 'noise must be between -90 and 0 dB' });
+    if (!(Number(minDuration) >= 0.05 && Number(minDuration) <= 60)) {
+        return res.status(400).json({ error: 'minDuration must be between 0.05 and 60 seconds' });
+    }
+    if (!(Number(padding) >= 0 && Number(padding) <= 5)) return res.status(400).json({ error: 'padding must be between 0 and 5 seconds' });
+
+    const ctx = prepare(req, res);
+    if (!ctx) return;
+
+    const options = { noise: Number(noise), minDuration: Number(minDuration) };
+    console.log(`⏱️ Removing silence (< ${options.noise} dB for ${options.minDuration}s+) from ${req.body.filename}`);
+
+    const job = enqueueTimingJob('silence', 'Silence removal', ctx, async (media, job) => {
+        if (!media.hasAudio) throw new Error('Input has no audio stream');
+        // Detection is the first half of the progress bar
+        const silences = await detectSilences(ctx.input.path, options, media.duration, { ...job, progress: (percent) => job.progress(percent / 2) });
+        const { keep, removed } = rangesWithoutSilence(silences, Number(padding), media.duration);
+        if (keep.length === 0) throw new Error('The whole clip is silent');
+        console.log(`  ⏱️ Cutting ${removed.length} silent range(s), keeping ${keep.length} segment(s)`);
+        return { ...buildKeepGraph(keep, media), details: { removed }, progressBase: 50 };
+    });
+    jobAccepted(res, job);
+});
+
+module.exports = router;
@@ -0,0 +1,117 @@
+const express = require('express');
+const { ownsRecord } = require('../lib/access');
+const {
+    getUploadSession,
+    isSessionBusy,
+    isAssembling,
+    validateUploadRequest,
+    createUploadSession,
+    chunkLength,
+    uploadStatus,
+    writeChunk,
+    assembleUpload,
+    deleteUploadSession
+} = require('../lib/uploads');
+const { inspectUpload, discardUpload, acceptUpload, ingestResponse } = require('../lib/ingest');
+
+const router = express.Router();
+
+// Resumable chunked uploads (see lib/uploads.js):
+//   POST   /uploads                      { filename, size, type, chunkSize, sha256 } -> session
+//   PUT    /uploads/:id/chunks/:index    raw chunk bytes, optional X-Chunk-SHA256 header
+//   GET    /uploads/:id                  which chunks have arrived (to resume)
+//   POST   /uploads/:id/complete         { sha256 } -> same response (and checks) as /upload
+//   DELETE /uploads/:id                  give up
+
+function requestSession(req) {
+    const session = getUploadSession(req.params.id);
+    return session && ownsRecord(session, req.user) ? session : null;
+}
+
+// ─── Start a Chunked Upload ───
+router.post('/uploads', (req, res) => {
+    const errors = validateUploadRequest(req.body);
+    if (errors.length > 0) return res.status(400).json({ error: 'Invalid upload request', details: errors });
+
+    const session = createUploadSession(req.body, req.user);
+    console.log(`📤 Chunked upload ${session.id}: ${session.originalName} (${session.size} bytes in ${session.totalChunks} chunk(s))`);
+    res.status(201).json(uploadStatus(session));
+});
+
+// ─── Upload Status (to resume: send the missingChunks) ───
+router.get('/uploads/:id', (req, res) => {
+    const session = requestSession(req);
+    if (!session) return res.status(404).json({ error: 'Upload not found' });
+    res.json(uploadStatus(session));
+});
+
+// ─── Upload a Chunk ───
+router.put('/uploads/:id/chunks/:index', async (req, res) => {
+    const session = requestSession(req);
+    if (!session) return res.status(404).json({ error: 'Upload not found' });
+    if (isAssembling(session)) return res.status(409).json({ error: 'Upload is being completed' });
+
+    const index = Number(req.params.index);
+    if (!/^\d+$/.test(req.params.index) || index >= session.totalChunks) {
+        return res.status(400).json({ error: `Chunk index must be between 0 and ${session.totalChunks - 1}` });
+    }
+    const expectedSize = chunkLength(session, index);
+    const declaredSize = Number(req.get('content-length'));
+    if (declaredSize > expectedSize) {
+        return res.status(413).json({ error: `Chunk ${index} must be ${expectedSize} bytes` });
+    }
+    const checksum = req.get('x-chunk-sha256');
+    if (checksum !== undefined && !/^[0-9a-fA-F]{64}$/.test(checksum)) {
+        return res.status(400).json({ error: 'X-Chunk-SHA256 must be a hex SHA-256' });
+    }
+
+    const { chunk, error } = await writeChunk(session, index, req, checksum);
+    if (error) return res.status(400).json({ error: 'Chunk rejected', details: error });
+    const { missingChunks } = uploadStatus(session);
+    res.json({ success: true, uploadId: session.id, ...chunk, missingChunks: missingChunks.length });
+});
+
+// ─── Complete a Chunked Upload ───
+router.post('/uploads/:id/complete', async (req, res) => {
+    const session = requestSession(req);
+    if (!session) return res.status(404).json({ error: 'Upload not found' });
+    if (isSessionBusy(session)) return res.status(409).json({ error: 'Chunks are still being written' });
+
+    const { missingChunks } = uploadStatus(session);
+    if (missingChunks.length > 0) {
+        return res.status(400).json({ error: 'Upload is incomplete', missingChunks });
+    }
+    const { sha256 } = req.body;
+    if (sha256 !== undefined && !(typeof sha256 === 'string' && /^[0-9a-fA-F]{64}$/.test(sha256))) {
+        return res.status(400).json({ error: 'sha256 must be the hex SHA-256 of the whole file' });
+    }
+
+    try {
+        const assembled = await assembleUpload(session, sha256);
+        if (assembled.error) return res.status(400).json({ error: 'Upload failed verification', details: assembled.error });
+
+        console.log(`📤 Chunked upload ${session.id} complete: ${assembled.filename}`);
+        const inspection = await inspectUpload(assembled.filename);
+        if (inspection.error) {
+            discardUpload(assembled.filename);
+            return res.status(422).json({ error: inspection.error, details: inspection.details });
+        }
+        const accepted = await acceptUpload(assembled.filename, inspection, { originalName: session.originalName, size: assembled.size }, session.owner);
+        res.status(accepted.job ? 202 : 200).json({ ...ingestResponse(accepted), sha256: assembled.sha256 });
+    } catch (e) {
+        console.error('Upload error:', e.message);
+        res.status(500).json({ error: 'Upload failed', details: e.message });
+    }
+});
+
+// ─── Cancel a Chunked Upload ───
+router.delete('/uploads/:id', (req, res) => {
+    const session = requestSession(req);
+    if (!session) return res.status(404).json({ error: 'Upload not found' });
+    if (isSessionBusy(session)) return res.status(409).json({ error: 'Upload is busy; try again when the current chunk has finished' });
+
+    deleteUploadSession(session);
+    res.json({ success: true, uploadId: session.id });
+});
+
+module.exports = router;
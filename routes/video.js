@@ -2,277 +2,140 @@ const express = require('express');
 const multer = require('multer');
 const ffmpeg = require('fluent-ffmpeg');
 const path = require('path');
-const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
+const { maxUploadBytes } = require('../config/uploads');
+const { enqueueJob, jobAccepted } = require('../lib/jobs');
+const { UPLOADS_DIR, PROCESSED_DIR, checkAssetParam, resolveAsset, registerOutput, getAssetRecord } = require('../lib/assets');
+const { signUrl } = require('../lib/access');
+const { ALLOWED_UPLOADS, isAllowedUpload, uploadFilename } = require('../lib/uploads');
+const { inspectUpload, discardUpload, acceptUpload, ingestResponse } = require('../lib/ingest');
+const { safeDelete } = require('../lib/ffmpeg');
+const { streamFile } = require('../lib/streaming');
+const { probeBasics, probeMedia } = require('../lib/probe');
+const { isStillImage, validateOverlay, buildOverlayGraph } = require('../lib/overlay');
+const { validateTransform, compileTransform } = require('../lib/transform');
+const { parseTimeRange } = require('../lib/timing');
+const { getPreset, listPresets, presetScaleFilter, presetVideoFilters, presetFrame, presetOutputOptions } = require('../lib/presets');
+const { GIF_PALETTE_FILTER, mimeTypeFor, resolveOutputFormat } = require('../lib/formats');
+const { compileFilterStack } = require('../lib/filters');
+const { compileTextLayers } = require('../lib/textLayers');
 
 const router = express.Router();
 
-// Directories
-const UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
-const PROCESSED_DIR = path.join(__dirname, '..', 'processed');
-
-// ─── Job Queue: max 1 concurrent FFmpeg job ───
-let activeJobs = 0;
-const MAX_CONCURRENT_JOBS = 1;
-const jobQueue = [];
-
-function enqueueJob(jobFn) {
-    return new Promise((resolve, reject) => {
-        const run = () => {
-            activeJobs++;
-            console.log(`⚙️ Job started (active: ${activeJobs})`);
-            jobFn()
-                .then(resolve)
-                .catch(reject)
-                .finally(() => {
-                    activeJobs--;
-                    console.log(`⚙️ Job finished (active: ${activeJobs}, queued: ${jobQueue.length})`);
-                    if (jobQueue.length > 0) {
-                        const next = jobQueue.shift();
-                        next();
-                    }
-                });
-        };
-
-        if (activeJobs < MAX_CONCURRENT_JOBS) {
-            run();
-        } else {
-            console.log(`⏳ Job queued (queue size: ${jobQueue.length + 1})`);
-            jobQueue.push(run);
-        }
-    });
-}
+router.param('filename', checkAssetParam);
 
-// Helper: safely delete a file
-function safeDelete(filePath) {
-    try {
-        if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
-    } catch (e) { /* ignore */ }
-}
-
-// Memory-optimized FFmpeg output options (tuned for Render 512MB free tier)
-const FFMPEG_OUTPUT_OPTS = [
-    '-c:v', 'libx264',
-    '-c:a', 'aac',
-    '-preset', 'ultrafast',   // minimal RAM usage
-    '-crf', '35',             // higher = smaller output, less memory
-    '-threads', '1',          // single thread to cap buffer memory
-    '-maxrate', '500k',       // limit bitrate to reduce memory
-    '-bufsize', '250k',       // small buffer = less RAM
-    '-vf', 'scale=480:-2',   // 480px wide, auto height
-    '-movflags', '+faststart',
-    '-ac', '1',               // mono audio to save memory
-    '-ar', '22050'            // lower sample rate
-];
-
-const FFMPEG_VIDEO_ONLY_OPTS = [
-    '-c:v', 'libx264',
-    '-preset', 'ultrafast',
-    '-crf', '35',
-    '-threads', '1',
-    '-maxrate', '500k',
-    '-bufsize', '250k',
-    '-vf', 'scale=480:-2',
-    '-movflags', '+faststart'
-];
-
-// For operations that already have a -vf (text, filter), use these without the scale filter
-const FFMPEG_NO_SCALE_OPTS = [
-    '-c:v', 'libx264',
-    '-c:a', 'aac',
-    '-preset', 'ultrafast',
-    '-crf', '35',
-    '-threads', '1',
-    '-maxrate', '500k',
-    '-bufsize', '250k',
-    '-movflags', '+faststart',
-    '-ac', '1',
-    '-ar', '22050'
-];
-
-// Multer config — reduced limits for free-tier hosting
+// Multer config — single-request uploads; larger files go through /uploads in chunks
 const storage = multer.diskStorage({
     destination: (req, file, cb) => cb(null, UPLOADS_DIR),
-    filename: (req, file, cb) => {
-        const ext = path.extname(file.originalname);
-        cb(null, `${uuidv4()}${ext}`);
-    }
+    filename: (req, file, cb) => cb(null, uploadFilename(file.originalname))
 });
 const upload = multer({
     storage,
-    limits: { fileSize: 25 * 1024 * 1024 }, // 25 MB max for Render free tier
+    limits: { fileSize: maxUploadBytes }, // UPLOAD_MAX_MB, see config/uploads.js
     fileFilter: (req, file, cb) => {
-        const allowed = /video|audio/;
-        if (allowed.test(file.mimetype)) {
+        if (isAllowedUpload(file.originalname, file.mimetype)) {
             cb(null, true);
         } else {
-            cb(new Error('Only video/audio files are allowed'), false);
+            cb(new Error(ALLOWED_UPLOADS), false);
         }
     }
 });
 
-// Helper: find a system font (Linux for Render, Windows for local dev)
-function getSystemFont() {
-    const candidates = [
-        // Linux (Render)
-        '/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf',
-        '/usr/share/fonts/truetype/liberation/LiberationSans-Regular.ttf',
-        '/usr/share/fonts/truetype/freefont/FreeSans.ttf',
-        // Windows (local dev)
-        'C:/Windows/Fonts/arial.ttf',
-        'C:/Windows/Fonts/segoeui.ttf',
-        'C:/Windows/Fonts/tahoma.ttf',
-    ];
-    for (const f of candidates) {
-        if (fs.existsSync(f)) {
-            // Escape path for ffmpeg drawtext: forward slashes, escape colons and backslashes
-            return f.replace(/\\/g, '/').replace(/:/g, '\\:');
-        }
-    }
-    return null;
-}
-
 // ─── Upload Video ───
-router.post('/upload', upload.single('video'), (req, res) => {
+// The file is probed: unreadable media and files over the ingest limits are rejected, and
+// awkward sources get a mezzanine copy from an 'ingest' job (202, see lib/ingest.js)
+router.post('/upload', upload.single('video'), async (req, res) => {
     if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
 
-    const filePath = req.file.filename;
-    const fullPath = path.join(UPLOADS_DIR, filePath);
-
-    // Get video metadata
-    ffmpeg.ffprobe(fullPath, (err, metadata) => {
-        if (err) {
-            console.warn('FFprobe warning (video still uploaded):', err.message);
-            return res.json({
-                success: true,
-                filename: filePath,
-                originalName: req.file.originalname,
-                size: req.file.size,
-                duration: 0,
-                width: 0,
-                height: 0
-            });
+    try {
+        const inspection = await inspectUpload(req.file.filename);
+        if (inspection.error) {
+            discardUpload(req.file.filename);
+            return res.status(422).json({ error: inspection.error, details: inspection.details });
         }
-
-        const videoStream = (metadata.streams || []).find(s => s.codec_type === 'video') || {};
-        res.json({
-            success: true,
-            filename: filePath,
-            originalName: req.file.originalname,
-            size: req.file.size,
-            duration: metadata.format.duration || 0,
-            width: videoStream.width || 0,
-            height: videoStream.height || 0
-        });
-    });
+        const accepted = await acceptUpload(req.file.filename, inspection, { originalName: req.file.originalname, size: req.file.size }, req.user);
+        res.status(accepted.job ? 202 : 200).json(ingestResponse(accepted));
+    } catch (e) {
+        console.error('Upload error:', e.message);
+        res.status(500).json({ error: 'Upload failed', details: e.message });
+    }
 });
 
 // ─── Upload Multiple Videos (for merge) ───
-router.post('/upload-multiple', upload.array('videos', 3), (req, res) => { // max 3 files (was 10)
+// All or nothing: one rejected file discards the whole batch
+router.post('/upload-multiple', upload.array('videos', 3), async (req, res) => { // max 3 files (was 10)
     if (!req.files || req.files.length === 0) {
         return res.status(400).json({ error: 'No files uploaded' });
     }
 
-    const files = req.files.map(f => ({
-        filename: f.filename,
-        originalName: f.originalname,
-        size: f.size
-    }));
+    try {
+        const inspections = await Promise.all(req.files.map(f => inspectUpload(f.filename)));
+        const rejected = req.files
+            .map((f, i) => ({ file: f.originalname, error: inspections[i].error, details: inspections[i].details }))
+            .filter(r => r.error);
+        if (rejected.length > 0) {
+            req.files.forEach(f => discardUpload(f.filename));
+            return res.status(422).json({ error: 'Some files were rejected', details: rejected });
+        }
 
-    res.json({ success: true, files });
+        const files = [];
+        for (const [i, f] of req.files.entries()) {
+            const accepted = await acceptUpload(f.filename, inspections[i], { originalName: f.originalname, size: f.size }, req.user);
+            files.push(ingestResponse(accepted));
+        }
+        res.status(files.some(f => f.mezzanine) ? 202 : 200).json({ success: true, files });
+    } catch (e) {
+        console.error('Upload error:', e.message);
+        res.status(500).json({ error: 'Upload failed', details: e.message });
+    }
 });
 
 // ─── Stream Video ───
-router.get('/video/:filename', (req, res) => {
-    const filePath = path.join(UPLOADS_DIR, req.params.filename);
-    if (!fs.existsSync(filePath)) {
+// Ranges, conditional requests and HEAD are handled by lib/streaming.js
+function streamAsset(req, res) {
+    const asset = resolveAsset(req.params.filename, req.user);
+    if (!asset) {
         return res.status(404).json({ error: 'File not found' });
     }
+    streamFile(req, res, asset.path, { contentType: mimeTypeFor(asset.filename, getAssetRecord(asset).media) });
+}
 
-    const stat = fs.statSync(filePath);
-    const fileSize = stat.size;
-    const range = req.headers.range;
-
-    if (range) {
-        const parts = range.replace(/bytes=/, '').split('-');
-        const start = parseInt(parts[0], 10);
-        const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
-        const chunksize = end - start + 1;
-        const file = fs.createReadStream(filePath, { start, end });
-        res.writeHead(206, {
-            'Content-Range': `bytes ${start}-${end}/${fileSize}`,
-            'Accept-Ranges': 'bytes',
-            'Content-Length': chunksize,
-            'Content-Type': 'video/mp4',
-        });
-        file.pipe(res);
-    } else {
-        res.writeHead(200, {
-            'Content-Length': fileSize,
-            'Content-Type': 'video/mp4',
-        });
-        fs.createReadStream(filePath).pipe(res);
-    }
-});
+router.get('/video/:filename', streamAsset);
 
 // ─── Stream Processed Video ───
-router.get('/processed-video/:filename', (req, res) => {
-    const filePath = path.join(PROCESSED_DIR, req.params.filename);
-    if (!fs.existsSync(filePath)) {
-        return res.status(404).json({ error: 'File not found' });
-    }
-
-    const stat = fs.statSync(filePath);
-    const fileSize = stat.size;
-    const range = req.headers.range;
-
-    if (range) {
-        const parts = range.replace(/bytes=/, '').split('-');
-        const start = parseInt(parts[0], 10);
-        const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
-        const chunksize = end - start + 1;
-        const file = fs.createReadStream(filePath, { start, end });
-        res.writeHead(206, {
-            'Content-Range': `bytes ${start}-${end}/${fileSize}`,
-            'Accept-Ranges': 'bytes',
-            'Content-Length': chunksize,
-            'Content-Type': 'video/mp4',
-        });
-        file.pipe(res);
-    } else {
-        res.writeHead(200, {
-            'Content-Length': fileSize,
-            'Content-Type': 'video/mp4',
-        });
-        fs.createReadStream(filePath).pipe(res);
-    }
-});
+router.get('/processed-video/:filename', streamAsset);
 
 // ─── Trim Video ───
 router.post('/trim', (req, res) => {
-    const { filename, startTime, endTime } = req.body;
+    const { filename, startTime, endTime, preset } = req.body;
     if (!filename) return res.status(400).json({ error: 'filename required' });
 
-    const inputPath = path.join(UPLOADS_DIR, filename);
-    const outputFilename = `trimmed_${uuidv4()}.mp4`;
+    const outputPreset = getPreset(preset);
+    if (!outputPreset) return res.status(400).json({ error: `Unknown preset: ${preset}` });
+
+    const { format: outputFormat, error: formatError } = resolveOutputFormat(req.body);
+    if (formatError) return res.status(400).json({ error: formatError });
+
+    const input = resolveAsset(filename, req.user);
+    const outputFilename = `trimmed_${uuidv4()}.${outputFormat.extension}`;
     const outputPath = path.join(PROCESSED_DIR, outputFilename);
 
-    if (!fs.existsSync(inputPath)) {
+    if (!input) {
         return res.status(404).json({ error: 'Input file not found' });
     }
+    const inputPath = input.path;
 
-    const start = parseFloat(startTime) || 0;
-    const end = parseFloat(endTime) || 0;
-    const duration = end > start ? end - start : 0;
+    const { start, end, duration } = parseTimeRange({ startTime, endTime });
 
     console.log(`✂️ Trimming: ${filename} from ${start}s to ${end}s (duration: ${duration}s)`);
 
-    enqueueJob(() => new Promise((resolve, reject) => {
-        const cmd = ffmpeg(inputPath)
-            .inputOptions(['-ss', String(start)]);
+    const job = enqueueJob('trim', (job) => new Promise((resolve, reject) => {
+        const cmd = job.track(ffmpeg(inputPath))
+            .inputOptions(['-ss', String(start)])
+            .videoFilters(presetVideoFilters(outputPreset, [], outputFormat));
 
         // Use -t as output option (not input) for reliable duration limiting
-        const outOpts = [...FFMPEG_OUTPUT_OPTS];
+        const outOpts = presetOutputOptions(outputPreset, { format: outputFormat });
         if (duration > 0) {
             outOpts.push('-t', String(duration));
         }
@@ -289,186 +152,306 @@ router.post('/trim', (req, res) => {
             })
             .on('progress', (progress) => {
                 if (progress.percent) console.log(`  ✂️ Trim progress: ${Math.round(progress.percent)}%`);
+                job.progress(progress.percent);
             })
             .on('end', () => {
                 console.log(`  ✂️ Trim complete: ${outputFilename}`);
-                res.json({ success: true, filename: outputFilename, message: 'Video trimmed successfully' });
-                resolve();
+                const output = registerOutput(outputFilename, [input.id], 'trim');
+                resolve({ filename: outputFilename, assetId: output.id, message: 'Video trimmed successfully' });
             })
             .on('error', (err, stdout, stderr) => {
                 console.error('Trim error:', err.message);
                 console.error('Trim stderr:', stderr);
-                if (!res.headersSent) res.status(500).json({ error: 'Failed to trim video', details: err.message });
-                resolve(); // resolve even on FFmpeg error so queue continues
+                safeDelete(outputPath);
+                reject(new Error(`Failed to trim video: ${err.message}`));
             })
             .run();
-    }));
+    }), { assets: [input.id] });
+
+    jobAccepted(res, job);
 });
 
 // ─── Apply Filter ───
+// `filter` is a name or { name, ...params }; `filters` stacks several in order
 router.post('/filter', (req, res) => {
-    const { filename, filter } = req.body;
-    if (!filename || !filter) return res.status(400).json({ error: 'filename and filter required' });
+    const { filename, filter, filters, preset } = req.body;
+    if (!filename || (!filter && !filters)) return res.status(400).json({ error: 'filename and filter (or filters) required' });
+
+    const outputPreset = getPreset(preset);
+    if (!outputPreset) return res.status(400).json({ error: `Unknown preset: ${preset}` });
 
-    const inputPath = path.join(UPLOADS_DIR, filename);
-    const outputFilename = `filtered_${uuidv4()}.mp4`;
+    const { format: outputFormat, error: formatError } = resolveOutputFormat(req.body);
+    if (formatError) return res.status(400).json({ error: formatError });
+
+    const input = resolveAsset(filename, req.user);
+    const outputFilename = `filtered_${uuidv4()}.${outputFormat.extension}`;
     const outputPath = path.join(PROCESSED_DIR, outputFilename);
 
-    if (!fs.existsSync(inputPath)) {
+    if (!input) {
         return res.status(404).json({ error: 'Input file not found' });
     }
+    const inputPath = input.path;
+
+    const stack = filters !== undefined ? filters : [filter];
+    const compiled = compileFilterStack(stack, { user: req.user });
+    if (compiled.errors) return res.status(400).json({ error: 'Invalid filter', details: compiled.errors });
+    const label = stack.map(f => (typeof f === 'string' ? f : f && f.name)).join(' + ');
 
-    const filterMap = {
-        grayscale: 'colorchannelmixer=.3:.4:.3:0:.3:.4:.3:0:.3:.4:.3',
-        sepia: 'colorchannelmixer=.393:.769:.189:0:.349:.686:.168:0:.272:.534:.131',
-        blur: 'boxblur=5:1',
-        sharpen: 'unsharp=5:5:1.0:5:5:0.0',
-        brightness: 'eq=brightness=0.15',
-        contrast: 'eq=contrast=1.5',
-        saturate: 'eq=saturation=2.0',
-        vignette: 'vignette=PI/4',
-        vintage: 'curves=vintage',
-        negative: 'negate',
-        mirror: 'hflip',
-        emboss: 'convolution=-2 -1 0 -1 1 1 0 1 2:-2 -1 0 -1 1 1 0 1 2:-2 -1 0 -1 1 1 0 1 2:-2 -1 0 -1 1 1 0 1 2:5:5:5:5:0:128'
-    };
-
-    const videoFilter = filterMap[filter];
-    if (!videoFilter) return res.status(400).json({ error: `Unknown filter: ${filter}` });
-
-    console.log(`🎨 Applying filter '${filter}' to: ${filename}`);
-
-    enqueueJob(() => new Promise((resolve) => {
-        ffmpeg(inputPath)
-            .videoFilters([videoFilter, 'scale=480:-2'])
-            .outputOptions(FFMPEG_NO_SCALE_OPTS)
+    console.log(`🎨 Applying filter '${label}' to: ${filename}`);
+
+    const job = enqueueJob('filter', (job) => new Promise((resolve, reject) => {
+        job.track(ffmpeg(inputPath))
+            .videoFilters(presetVideoFilters(outputPreset, compiled.filters, outputFormat))
+            .outputOptions(presetOutputOptions(outputPreset, { format: outputFormat }))
             .output(outputPath)
             .on('progress', (progress) => {
                 if (progress.percent) console.log(`  🎨 Filter progress: ${Math.round(progress.percent)}%`);
+                job.progress(progress.percent);
             })
             .on('end', () => {
                 console.log(`  🎨 Filter complete: ${outputFilename}`);
-                res.json({ success: true, filename: outputFilename, message: `Filter '${filter}' applied successfully` });
-                resolve();
+                const output = registerOutput(outputFilename, [input.id, ...compiled.lutAssets.map(a => a.id)], 'filter');
+                resolve({ filename: outputFilename, assetId: output.id, message: `Filter '${label}' applied successfully` });
             })
             .on('error', (err) => {
                 console.error('Filter error:', err.message);
-                if (!res.headersSent) res.status(500).json({ error: 'Failed to apply filter', details: err.message });
-                resolve();
+                safeDelete(outputPath);
+                reject(new Error(`Failed to apply filter: ${err.message}`));
             })
             .run();
-    }));
+    }), { assets: [input.id, ...compiled.lutAssets.map(a => a.id)] });
+
+    jobAccepted(res, job);
+});
+
+// ─── Transform (crop, rotate, flip, resize, reframe) ───
+router.post('/transform', (req, res) => {
+    const { filename, preset } = req.body;
+    if (!filename) return res.status(400).json({ error: 'filename required' });
+
+    const errors = validateTransform(req.body);
+    if (errors.length > 0) return res.status(400).json({ error: 'Invalid transform', details: errors });
+
+    const outputPreset = getPreset(preset);
+    if (!outputPreset) return res.status(400).json({ error: `Unknown preset: ${preset}` });
+
+    const { format: outputFormat, error: formatError } = resolveOutputFormat(req.body);
+    if (formatError) return res.status(400).json({ error: formatError });
+
+    const input = resolveAsset(filename, req.user);
+    if (!input) return res.status(404).json({ error: 'Input file not found' });
+
+    const outputFilename = `transform_${uuidv4()}.${outputFormat.extension}`;
+    const outputPath = path.join(PROCESSED_DIR, outputFilename);
+
+    console.log(`📐 Transforming: ${filename}`);
+
+    const job = enqueueJob('transform', async (job) => {
+        // Geometry is worked out from the displayed (auto-rotated) source size
+        const { summary } = await probeMedia(input.path);
+        if (!summary.hasVideo) throw new Error('Input has no video stream');
+        const transform = compileTransform(req.body, summary);
+        if (transform.error) throw new Error(transform.error);
+
+        console.log(`📐 Filters: ${transform.filters.join(',')} (${transform.width}x${transform.height})`);
+
+        return new Promise((resolve, reject) => {
+            job.track(ffmpeg(input.path))
+                .videoFilters(presetVideoFilters(outputPreset, transform.filters, outputFormat))
+                .outputOptions(presetOutputOptions(outputPreset, { format: outputFormat }))
+                .output(outputPath)
+                .on('progress', (progress) => {
+                    if (progress.percent) console.log(`  📐 Transform progress: ${Math.round(progress.percent)}%`);
+                    job.progress(progress.percent);
+                })
+                .on('end', () => {
+                    console.log(`  📐 Transform complete: ${outputFilename}`);
+                    const output = registerOutput(outputFilename, [input.id], 'transform');
+                    resolve({ filename: outputFilename, assetId: output.id, message: 'Video transformed successfully' });
+                })
+                .on('error', (err) => {
+                    console.error('Transform error:', err.message);
+                    safeDelete(outputPath);
+                    reject(new Error(`Failed to transform video: ${err.message}`));
+                })
+                .run();
+        });
+    }, { assets: [input.id] });
+
+    jobAccepted(res, job);
 });
 
 // ─── Add Text Overlay ───
+// `layers` is a list of text layers (see lib/textLayers.js); the single-layer fields
+// (text, fontSize, fontColor, x, y, startTime, endTime) still work on their own
 router.post('/text', (req, res) => {
-    const { filename, text, fontSize, fontColor, x, y, startTime, endTime } = req.body;
-    if (!filename || !text) return res.status(400).json({ error: 'filename and text required' });
+    const { filename, text, fontSize, fontColor, x, y, startTime, endTime, layers, preset } = req.body;
+    if (!filename || (!text && !layers)) return res.status(400).json({ error: 'filename and text (or layers) required' });
 
-    const inputPath = path.join(UPLOADS_DIR, filename);
-    const outputFilename = `text_${uuidv4()}.mp4`;
-    const outputPath = path.join(PROCESSED_DIR, outputFilename);
+    const compiled = compileTextLayers(layers !== undefined ? layers : [{ text, fontSize, fontColor, x, y, startTime, endTime }], req.user);
+    if (compiled.errors) return res.status(400).json({ error: 'Invalid text layers', details: compiled.errors });
 
-    if (!fs.existsSync(inputPath)) {
-        return res.status(404).json({ error: 'Input file not found' });
-    }
+    const outputPreset = getPreset(preset);
+    if (!outputPreset) return res.status(400).json({ error: `Unknown preset: ${preset}` });
 
-    const size = fontSize || 32;
-    // Convert #ffffff to 0xffffff for ffmpeg drawtext, or use color name
-    let color = fontColor || 'white';
-    if (color.startsWith('#')) {
-        color = '0x' + color.slice(1);
-    }
-    const posX = x || '(w-text_w)/2';
-    const posY = y || '(h-text_h)/2';
-
-    // Escape special chars for drawtext filter (minimal escaping)
-    const escapedText = text
-        .replace(/\\/g, '\\\\')      // escape backslashes
-        .replace(/'/g, "\u2019")       // replace single quotes with unicode right single quote
-        .replace(/:/g, '\\:')         // escape colons
-        .replace(/%/g, '%%')           // escape percent signs
-        .replace(/\[/g, '\\[')        // escape brackets
-        .replace(/\]/g, '\\]');
-
-    // Build drawtext filter - fontfile is required on Windows
-    const fontFile = getSystemFont();
-    let drawTextFilter;
-
-    if (fontFile) {
-        drawTextFilter = `drawtext=fontfile='${fontFile}':text='${escapedText}':fontsize=${size}:fontcolor=${color}:x=${posX}:y=${posY}`;
-    } else {
-        drawTextFilter = `drawtext=text='${escapedText}':fontsize=${size}:fontcolor=${color}:x=${posX}:y=${posY}`;
-    }
+    const { format: outputFormat, error: formatError } = resolveOutputFormat(req.body);
+    if (formatError) return res.status(400).json({ error: formatError });
 
-    if (startTime !== undefined && endTime !== undefined) {
-        drawTextFilter += `:enable='between(t,${startTime},${endTime})'`;
+    const input = resolveAsset(filename, req.user);
+    const outputFilename = `text_${uuidv4()}.${outputFormat.extension}`;
+    const outputPath = path.join(PROCESSED_DIR, outputFilename);
+
+    if (!input) {
+        return res.status(404).json({ error: 'Input file not found' });
     }
+    const inputPath = input.path;
 
-    console.log(`🔤 Adding text to: ${filename}`);
-    console.log(`🔤 Filter: ${drawTextFilter}`);
+    console.log(`🔤 Adding ${compiled.filters.length === 1 ? 'text' : `${compiled.filters.length} text filters`} to: ${filename}`);
 
-    enqueueJob(() => new Promise((resolve) => {
-        ffmpeg(inputPath)
-            .videoFilters([drawTextFilter, 'scale=480:-2'])
-            .outputOptions(FFMPEG_NO_SCALE_OPTS)
+    const job = enqueueJob('text', (job) => new Promise((resolve, reject) => {
+        job.track(ffmpeg(inputPath))
+            .videoFilters(presetVideoFilters(outputPreset, compiled.filters, outputFormat))
+            .outputOptions(presetOutputOptions(outputPreset, { format: outputFormat }))
             .output(outputPath)
             .on('progress', (progress) => {
                 if (progress.percent) console.log(`  🔤 Text progress: ${Math.round(progress.percent)}%`);
+                job.progress(progress.percent);
             })
             .on('end', () => {
                 console.log(`  🔤 Text complete: ${outputFilename}`);
-                res.json({ success: true, filename: outputFilename, message: 'Text overlay added successfully' });
-                resolve();
+                const output = registerOutput(outputFilename, [input.id, ...compiled.fontAssets.map(a => a.id)], 'text');
+                resolve({ filename: outputFilename, assetId: output.id, message: 'Text overlay added successfully' });
             })
             .on('error', (err) => {
                 console.error('Text error:', err.message);
-                if (!res.headersSent) res.status(500).json({ error: 'Failed to add text', details: err.message });
-                resolve();
+                safeDelete(outputPath);
+                reject(new Error(`Failed to add text: ${err.message}`));
             })
             .run();
-    }));
+    }), { assets: [input.id, ...compiled.fontAssets.map(a => a.id)] });
+
+    jobAccepted(res, job);
+});
+
+// ─── Overlay Image or Video (watermark, logo, picture-in-picture) ───
+router.post('/overlay', (req, res) => {
+    const { filename, overlay, preset } = req.body;
+    if (!filename || !overlay) return res.status(400).json({ error: 'filename and overlay required' });
+
+    const errors = validateOverlay(req.body);
+    if (errors.length > 0) return res.status(400).json({ error: 'Invalid overlay', details: errors });
+
+    const outputPreset = getPreset(preset);
+    if (!outputPreset) return res.status(400).json({ error: `Unknown preset: ${preset}` });
+
+    const { format: outputFormat, error: formatError } = resolveOutputFormat(req.body);
+    if (formatError) return res.status(400).json({ error: formatError });
+
+    const input = resolveAsset(filename, req.user);
+    if (!input) return res.status(404).json({ error: 'Input file not found' });
+    const overlayAsset = resolveAsset(overlay, req.user);
+    if (!overlayAsset) return res.status(404).json({ error: 'Overlay file not found' });
+
+    const still = isStillImage(overlayAsset.filename);
+    const outputFilename = `overlay_${uuidv4()}.${outputFormat.extension}`;
+    const outputPath = path.join(PROCESSED_DIR, outputFilename);
+
+    console.log(`🖼️ Overlaying ${overlayAsset.filename} onto: ${filename}`);
+
+    const job = enqueueJob('overlay', async (job) => {
+        const [main, ovr] = await Promise.all([probeBasics(input.path), probeBasics(overlayAsset.path)]);
+        if (!main.hasVideo) throw new Error('Input has no video stream');
+        if (!ovr.hasVideo) throw new Error('Overlay has no image or video stream');
+
+        const filters = buildOverlayGraph(req.body, { still, mainDuration: main.duration, overlayDuration: ovr.duration });
+        let out = 'comp';
+        const scale = presetScaleFilter(outputPreset);
+        if (scale) {
+            filters.push(`[${out}]${scale}[scaled]`);
+            out = 'scaled';
+        }
+        if (outputFormat.videoCodec === 'gif') {
+            filters.push(`[${out}]${GIF_PALETTE_FILTER}[vgif]`);
+            out = 'vgif';
+        }
+
+        return new Promise((resolve, reject) => {
+            const cmd = job.track(ffmpeg(input.path)).input(overlayAsset.path);
+            if (still) cmd.inputOptions(['-loop', '1']);
+
+            // The main video's audio (if any) passes through
+            cmd.complexFilter(filters.join(';'), [out])
+                .outputOptions(['-map', '0:a?', ...presetOutputOptions(outputPreset, { format: outputFormat })])
+                .output(outputPath)
+                .on('progress', (progress) => {
+                    if (progress.percent) console.log(`  🖼️ Overlay progress: ${Math.round(progress.percent)}%`);
+                    job.progress(progress.percent);
+                })
+                .on('end', () => {
+                    console.log(`  🖼️ Overlay complete: ${outputFilename}`);
+                    const output = registerOutput(outputFilename, [input.id, overlayAsset.id], 'overlay');
+                    resolve({ filename: outputFilename, assetId: output.id, message: 'Overlay added successfully' });
+                })
+                .on('error', (err) => {
+                    console.error('Overlay error:', err.message);
+                    safeDelete(outputPath);
+                    reject(new Error(`Failed to add overlay: ${err.message}`));
+                })
+                .run();
+        });
+    }, { assets: [input.id, overlayAsset.id] });
+
+    jobAccepted(res, job);
 });
 
 // ─── Merge Videos ───
 router.post('/merge', (req, res) => {
-    const { filenames } = req.body;
+    const { filenames, preset } = req.body;
     if (!filenames || filenames.length < 2) {
         return res.status(400).json({ error: 'At least 2 filenames required' });
     }
 
+    const outputPreset = getPreset(preset);
+    if (!outputPreset) return res.status(400).json({ error: `Unknown preset: ${preset}` });
+
+    const { format: outputFormat, error: formatError } = resolveOutputFormat(req.body);
+    if (formatError) return res.status(400).json({ error: formatError });
+
     // Verify all files exist
+    const inputs = [];
     for (const f of filenames) {
-        const fp = path.join(UPLOADS_DIR, f);
-        if (!fs.existsSync(fp)) {
+        const input = resolveAsset(f, req.user);
+        if (!input) {
             return res.status(404).json({ error: `File not found: ${f}` });
         }
+        inputs.push(input);
     }
 
-    const outputFilename = `merged_${uuidv4()}.mp4`;
+    const outputFilename = `merged_${uuidv4()}.${outputFormat.extension}`;
     const outputPath = path.join(PROCESSED_DIR, outputFilename);
 
     console.log(`🔗 Merging ${filenames.length} videos using concat filter`);
 
-    enqueueJob(() => new Promise((resolve) => {
-        const cmd = ffmpeg();
+    const job = enqueueJob('merge', (job) => new Promise((resolve, reject) => {
+        const cmd = job.track(ffmpeg());
 
         // Add each input file
-        filenames.forEach(f => {
-            cmd.input(path.join(UPLOADS_DIR, f));
+        inputs.forEach(input => {
+            cmd.input(input.path);
         });
 
         // Build the complex filter:
-        // 1. Scale + pad each input to 1280x720 with same pixel format
+        // 1. Scale + pad each input to the preset frame (854x480 for preview) with same pixel format
         // 2. Normalize audio to stereo 44100Hz
         // 3. Concat all streams
         const n = filenames.length;
+        const { width: W, height: H } = presetFrame(outputPreset);
         let filterParts = [];
         let concatInputs = '';
 
         for (let i = 0; i < n; i++) {
             filterParts.push(
-                `[${i}:v]scale=854:480:force_original_aspect_ratio=decrease,pad=854:480:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=24[v${i}]`
+                `[${i}:v]scale=${W}:${H}:force_original_aspect_ratio=decrease,pad=${W}:${H}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=24[v${i}]`
             );
             filterParts.push(
                 `[${i}:a]aformat=sample_fmts=fltp:sample_rates=44100:channel_layouts=stereo[a${i}]`
@@ -480,170 +463,101 @@ router.post('/merge', (req, res) => {
             `${concatInputs}concat=n=${n}:v=1:a=1[outv][outa]`
         );
 
+        let outputs = ['outv', 'outa'];
+        if (outputFormat.videoCodec === 'gif') {
+            // GIFs have no audio: palette pass on the video, discard the concatenated audio
+            filterParts.push(`[outv]${GIF_PALETTE_FILTER}[outgif]`, '[outa]anullsink');
+            outputs = ['outgif'];
+        }
+
         const complexFilter = filterParts.join(';');
 
-        cmd.complexFilter(complexFilter, ['outv', 'outa'])
-            .outputOptions([
-                '-c:v', 'libx264',
-                '-c:a', 'aac',
-                '-preset', 'ultrafast',
-                '-crf', '28',
-                '-threads', '1',
-                '-movflags', '+faststart',
-                '-shortest'
-            ])
+        cmd.complexFilter(complexFilter, outputs)
+            .outputOptions([...presetOutputOptions(outputPreset, { format: outputFormat }), '-shortest'])
             .output(outputPath)
             .on('progress', (progress) => {
                 if (progress.percent) console.log(`  🔗 Merge progress: ${Math.round(progress.percent)}%`);
+                job.progress(progress.percent);
             })
             .on('end', () => {
                 console.log(`  🔗 Merge complete: ${outputFilename}`);
-                res.json({ success: true, filename: outputFilename, message: 'Videos merged successfully' });
-                resolve();
+                const output = registerOutput(outputFilename, inputs.map(i => i.id), 'merge');
+                resolve({ filename: outputFilename, assetId: output.id, message: 'Videos merged successfully' });
             })
             .on('error', (err) => {
                 console.error('Merge error:', err.message);
-                if (!res.headersSent) res.status(500).json({ error: 'Failed to merge videos', details: err.message });
-                resolve();
+                safeDelete(outputPath);
+                reject(new Error(`Failed to merge videos: ${err.message}`));
             })
             .run();
-    }));
-});
+    }), { assets: inputs.map(i => i.id) });
 
-// ─── Audio Operations ───
-router.post('/audio', (req, res) => {
-    const { filename, operation, volume } = req.body;
-    if (!filename || !operation) return res.status(400).json({ error: 'filename and operation required' });
-
-    const inputPath = path.join(UPLOADS_DIR, filename);
+    jobAccepted(res, job);
+});
 
-    if (!fs.existsSync(inputPath)) {
-        return res.status(404).json({ error: 'Input file not found' });
-    }
+// ─── Export Presets ───
+router.get('/presets', (req, res) => {
+    res.json({ presets: listPresets() });
+});
 
-    console.log(`🔊 Audio operation '${operation}' on: ${filename}`);
+// ─── Export with Preset (re-encode) ───
+router.post('/export', (req, res) => {
+    const { filename, preset } = req.body;
+    if (!filename || !preset) return res.status(400).json({ error: 'filename and preset required' });
 
-    // Handle extract separately (outputs mp3)
-    if (operation === 'extract') {
-        const audioFilename = `audio_${uuidv4()}.mp3`;
-        const audioPath = path.join(PROCESSED_DIR, audioFilename);
+    const outputPreset = getPreset(preset);
+    if (!outputPreset) return res.status(400).json({ error: `Unknown preset: ${preset}` });
 
-        enqueueJob(() => new Promise((resolve) => {
-            ffmpeg(inputPath)
-                .noVideo()
-                .audioCodec('libmp3lame')
-                .audioBitrate('128k') // reduced from 192k
-                .output(audioPath)
-                .on('progress', (progress) => {
-                    if (progress.percent) console.log(`  🎵 Extract progress: ${Math.round(progress.percent)}%`);
-                })
-                .on('end', () => {
-                    console.log(`  🎵 Audio extracted: ${audioFilename}`);
-                    res.json({ success: true, filename: audioFilename, message: 'Audio extracted successfully' });
-                    resolve();
-                })
-                .on('error', (err) => {
-                    console.error('Audio extract error:', err.message);
-                    if (!res.headersSent) res.status(500).json({ error: 'Failed to extract audio', details: err.message });
-                    resolve();
-                })
-                .run();
-        }));
-        return;
-    }
+    const { format: outputFormat, error: formatError } = resolveOutputFormat(req.body);
+    if (formatError) return res.status(400).json({ error: formatError });
 
-    // Handle fadeOut: need to know duration first
-    if (operation === 'fadeOut') {
-        ffmpeg.ffprobe(inputPath, (err, metadata) => {
-            const outputFilename = `audio_${uuidv4()}.mp4`;
-            const outputPath = path.join(PROCESSED_DIR, outputFilename);
-            const duration = (metadata && metadata.format && metadata.format.duration) ? parseFloat(metadata.format.duration) : 30;
-            const fadeStart = Math.max(0, duration - 3);
-
-            enqueueJob(() => new Promise((resolve) => {
-                ffmpeg(inputPath)
-                    .audioFilters(`afade=t=out:st=${fadeStart}:d=3`)
-                    .outputOptions(FFMPEG_OUTPUT_OPTS)
-                    .output(outputPath)
-                    .on('progress', (progress) => {
-                        if (progress.percent) console.log(`  📉 FadeOut progress: ${Math.round(progress.percent)}%`);
-                    })
-                    .on('end', () => {
-                        console.log(`  📉 FadeOut complete: ${outputFilename}`);
-                        res.json({ success: true, filename: outputFilename, message: `Audio operation 'fadeOut' completed` });
-                        resolve();
-                    })
-                    .on('error', (err) => {
-                        console.error('Audio fadeOut error:', err.message);
-                        if (!res.headersSent) res.status(500).json({ error: 'Failed to process audio', details: err.message });
-                        resolve();
-                    })
-                    .run();
-            }));
-        });
-        return;
+    const input = resolveAsset(filename, req.user);
+    if (!input) {
+        return res.status(404).json({ error: 'Input file not found' });
     }
 
-    // Handle other operations
-    const outputFilename = `audio_${uuidv4()}.mp4`;
+    const outputFilename = `export_${uuidv4()}.${outputFormat.extension}`;
     const outputPath = path.join(PROCESSED_DIR, outputFilename);
-    let cmd = ffmpeg(inputPath);
-    // Use the right output options: mute needs no audio codec, all others need it
-    let useOutputOpts = FFMPEG_OUTPUT_OPTS;
-
-    switch (operation) {
-        case 'mute':
-            cmd.noAudio();
-            useOutputOpts = FFMPEG_VIDEO_ONLY_OPTS; // no audio codec needed for mute
-            break;
-        case 'volume':
-            cmd.audioFilters(`volume=${volume || 1.0}`);
-            break;
-        case 'fadeIn':
-            cmd.audioFilters('afade=t=in:st=0:d=3');
-            break;
-        default:
-            return res.status(400).json({ error: `Unknown audio operation: ${operation}` });
-    }
 
-    enqueueJob(() => new Promise((resolve) => {
-        cmd.outputOptions(useOutputOpts)
+    console.log(`📦 Exporting ${filename} with preset '${outputPreset.name}'`);
+
+    const job = enqueueJob('export', (job) => new Promise((resolve, reject) => {
+        job.track(ffmpeg(input.path))
+            .videoFilters(presetVideoFilters(outputPreset, [], outputFormat))
+            .outputOptions(presetOutputOptions(outputPreset, { format: outputFormat }))
             .output(outputPath)
             .on('progress', (progress) => {
-                if (progress.percent) console.log(`  🔊 Audio progress: ${Math.round(progress.percent)}%`);
+                if (progress.percent) console.log(`  📦 Export progress: ${Math.round(progress.percent)}%`);
+                job.progress(progress.percent);
             })
             .on('end', () => {
-                console.log(`  🔊 Audio '${operation}' complete: ${outputFilename}`);
-                res.json({ success: true, filename: outputFilename, message: `Audio operation '${operation}' completed` });
-                resolve();
+                console.log(`  📦 Export complete: ${outputFilename}`);
+                const output = registerOutput(outputFilename, [input.id], `export:${outputPreset.name}`);
+                resolve({ filename: outputFilename, assetId: output.id, downloadUrl: signUrl(`/api/export/${encodeURIComponent(output.id)}`, req.user), message: `Exported with preset '${outputPreset.name}'` });
             })
             .on('error', (err) => {
-                console.error('Audio error:', err.message);
-                if (!res.headersSent) res.status(500).json({ error: 'Failed to process audio', details: err.message });
-                resolve();
+                console.error('Export error:', err.message);
+                safeDelete(outputPath);
+                reject(new Error(`Failed to export video: ${err.message}`));
             })
             .run();
-    }));
+    }), { priority: 'low', assets: [input.id] });
+
+    jobAccepted(res, job);
 });
 
 // ─── Export / Download ───
 router.get('/export/:filename', (req, res) => {
     const filename = req.params.filename;
 
-    // Check processed folder first, then uploads folder
-    let filePath = path.join(PROCESSED_DIR, filename);
-    if (!fs.existsSync(filePath)) {
-        filePath = path.join(UPLOADS_DIR, filename);
-    }
-    if (!fs.existsSync(filePath)) {
+    const asset = resolveAsset(filename, req.user);
+    if (!asset) {
         return res.status(404).json({ error: 'File not found' });
     }
 
-    res.download(filePath, (err) => {
-        if (err && !res.headersSent) {
-            console.error('Download error:', err.message);
-            res.status(500).json({ error: 'Failed to download file' });
-        }
+    streamFile(req, res, asset.path, {
+        contentType: mimeTypeFor(asset.filename, getAssetRecord(asset).media),
+        downloadName: asset.filename
     });
 });
 
@@ -651,7 +565,8 @@ router.get('/export/:filename', (req, res) => {
 router.use((err, req, res, next) => {
     if (err instanceof multer.MulterError) {
         if (err.code === 'LIMIT_FILE_SIZE') {
-            return res.status(413).json({ error: 'File too large. Max size is 50MB.' });
+            const limit = Number((maxUploadBytes / 1024 / 1024).toFixed(1));
+            return res.status(413).json({ error: `File too large. Max size is ${limit}MB; use a chunked upload (POST /api/uploads) for larger files.` });
         }
         return res.status(400).json({ error: err.message });
     }
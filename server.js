@@ -14,6 +14,23 @@ console.log('📍 FFmpeg path:', ffmpegPath);
 console.log('📍 FFprobe path:', ffprobePath);
 
 const videoRoutes = require('./routes/video');
+const jobRoutes = require('./routes/jobs');
+const assetRoutes = require('./routes/assets');
+const pipelineRoutes = require('./routes/pipeline');
+const projectRoutes = require('./routes/projects');
+const mediaRoutes = require('./routes/media');
+const subtitleRoutes = require('./routes/subtitles');
+const timingRoutes = require('./routes/timing');
+const filterRoutes = require('./routes/filters');
+const audioRoutes = require('./routes/audio');
+const packageRoutes = require('./routes/packages');
+const uploadRoutes = require('./routes/uploads');
+const { authEnabled, authenticate } = require('./lib/access');
+const { CACHE_DIR } = require('./lib/mediaCache');
+const { sweepExpiredPackages } = require('./lib/packaging');
+const { sweepExpiredUploads } = require('./lib/uploads');
+const { sweepExpiredAssets, enforceQuota, storageUsage } = require('./lib/retention');
+const { cacheTtlMs, cleanupIntervalMs } = require('./config/retention');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -24,9 +41,24 @@ const processedDir = path.join(__dirname, 'processed');
 if (!fs.existsSync(uploadsDir)) fs.mkdirSync(uploadsDir, { recursive: true });
 if (!fs.existsSync(processedDir)) fs.mkdirSync(processedDir, { recursive: true });
 
-// ─── Auto-cleanup: delete files older than 15 minutes ───
-const CLEANUP_INTERVAL_MS = 5 * 60 * 1000;   // check every 5 min
-const MAX_FILE_AGE_MS = 15 * 60 * 1000;   // delete after 15 min
+// ─── Auto-cleanup: expired assets, storage quota, packages, abandoned uploads and old cached files (see config/retention.js) ───
+const CLEANUP_INTERVAL_MS = cleanupIntervalMs;   // default: every 5 min
+const MAX_FILE_AGE_MS = cacheTtlMs;   // cached files, default: after 15 min
+
+function cleanupExpiredAssets() {
+  try {
+    const cleaned = sweepExpiredAssets();
+    if (cleaned > 0) console.log(`🧹 Cleaned ${cleaned} expired file(s) from uploads/ and processed/`);
+    const evicted = enforceQuota();
+    if (evicted > 0) console.log(`🧹 Evicted ${evicted} least recently used file(s) to stay within the storage quota`);
+    const packages = sweepExpiredPackages();
+    if (packages > 0) console.log(`🧹 Removed ${packages} expired HLS/DASH package(s) from packages/`);
+    const uploads = sweepExpiredUploads();
+    if (uploads > 0) console.log(`🧹 Discarded ${uploads} abandoned chunked upload(s)`);
+  } catch (e) {
+    console.error('Asset cleanup error:', e.message);
+  }
+}
 
 function cleanupOldFiles(directory) {
   try {
@@ -48,14 +80,14 @@ function cleanupOldFiles(directory) {
 }
 
 setInterval(() => {
-  cleanupOldFiles(uploadsDir);
-  cleanupOldFiles(processedDir);
+  cleanupExpiredAssets();
+  cleanupOldFiles(CACHE_DIR);
 }, CLEANUP_INTERVAL_MS);
 
 // Run once on startup after 60 seconds
 setTimeout(() => {
-  cleanupOldFiles(uploadsDir);
-  cleanupOldFiles(processedDir);
+  cleanupExpiredAssets();
+  cleanupOldFiles(CACHE_DIR);
 }, 60 * 1000);
 
 // CORS - allow all origins in production (or specific frontend URL)
@@ -66,15 +98,13 @@ const allowedOrigins = process.env.FRONTEND_URL
 app.use(cors({
   origin: allowedOrigins,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Range', 'Authorization'],
-  exposedHeaders: ['Content-Range', 'Accept-Ranges', 'Content-Length'],
+  allowedHeaders: ['Content-Type', 'Range', 'If-Range', 'If-None-Match', 'If-Modified-Since', 'Authorization', 'X-Chunk-SHA256'],
+  exposedHeaders: ['Content-Range', 'Accept-Ranges', 'Content-Length', 'Content-Disposition', 'ETag', 'Last-Modified'],
   credentials: false
 }));
 
 // Reduced JSON body limit (commands are tiny, videos go via multer)
 app.use(express.json({ limit: '2mb' }));
-app.use('/uploads', express.static(uploadsDir));
-app.use('/processed', express.static(processedDir));
 
 // ─── Memory logging middleware ───
 app.use((req, res, next) => {
@@ -85,12 +115,27 @@ app.use((req, res, next) => {
   next();
 });
 
+// API keys and signed URLs (see config/access.js); /api/health stays public
+app.use('/api', authenticate);
+
 // Routes
 app.use('/api', videoRoutes);
+app.use('/api', uploadRoutes);
+app.use('/api', jobRoutes);
+app.use('/api', assetRoutes);
+app.use('/api', pipelineRoutes);
+app.use('/api', projectRoutes);
+app.use('/api', mediaRoutes);
+app.use('/api', subtitleRoutes);
+app.use('/api', timingRoutes);
+app.use('/api', filterRoutes);
+app.use('/api', audioRoutes);
+app.use('/api', packageRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
   const mem = process.memoryUsage();
+  const storage = storageUsage();
   res.json({
     status: 'ok',
     message: 'Video Editor API is running',
@@ -100,6 +145,12 @@ app.get('/api/health', (req, res) => {
       rss: `${(mem.rss / 1024 / 1024).toFixed(1)}MB`,
       heapUsed: `${(mem.heapUsed / 1024 / 1024).toFixed(1)}MB`,
       heapTotal: `${(mem.heapTotal / 1024 / 1024).toFixed(1)}MB`
+    },
+    storage: {
+      used: `${(storage.usedBytes / 1024 / 1024).toFixed(1)}MB`,
+      quota: storage.quotaBytes ? `${(storage.quotaBytes / 1024 / 1024).toFixed(1)}MB` : 'none',
+      files: storage.files,
+      pinned: storage.pinned
     }
   });
 });
@@ -119,6 +170,7 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log(`🎬 Video Editor Server running on port ${PORT}`);
   console.log(`📁 Uploads dir: ${uploadsDir}`);
   console.log(`📁 Processed dir: ${processedDir}`);
+  console.log(authEnabled ? '🔐 API keys required' : '🔓 API is open (set API_KEYS to require keys)');
   const mem = process.memoryUsage();
   console.log(`📊 Startup memory — RSS: ${(mem.rss / 1024 / 1024).toFixed(1)}MB | Heap: ${(mem.heapUsed / 1024 / 1024).toFixed(1)}MB`);
 });